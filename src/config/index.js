@@ -1,4 +1,8 @@
 require('dotenv').config();
+const path = require('path');
+
+// Diretório onde os arquivos de dados são gravados (caminho absoluto, mesmo se DATA_DIR for relativo)
+const dataDir = path.resolve(process.env.DATA_DIR || 'data');
 
 module.exports = {
   // Configurações do WhatsApp
@@ -6,15 +10,170 @@ module.exports = {
     token: process.env.WHATSAPP_TOKEN,
     phoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID,
     appSecret: process.env.WHATSAPP_APP_SECRET,
+    // Desativa a verificação da assinatura X-Hub-Signature-256 (apenas para desenvolvimento local)
+    skipSignatureVerification: process.env.WHATSAPP_SKIP_SIGNATURE_VERIFICATION === 'true',
+    // Janela (em segundos) em que um message.id já recebido é tratado como reentrega
+    dedupTTL: parseInt(process.env.WEBHOOK_DEDUP_TTL || '86400', 10),
+    // Tempo (em segundos) que o status de entrega das mensagens enviadas fica disponível
+    statusTTL: parseInt(process.env.MESSAGE_STATUS_TTL || '604800', 10),
+    // Timeout (em ms) das chamadas à Graph API
+    timeout: parseInt(process.env.WHATSAPP_TIMEOUT || '10000', 10),
+    // Tamanho máximo (em caracteres) de cada parte das respostas longas (limite da API: 4096)
+    maxMessageLength: Math.min(parseInt(process.env.WHATSAPP_MAX_MESSAGE_LENGTH || '4096', 10), 4096),
     verifyToken: process.env.VERIFY_TOKEN || 'default_verify_token'
   },
   
   // Configurações da API do Groq
   groq: {
     apiKey: process.env.GROQ_API_KEY,
-    model: process.env.GROQ_MODEL || 'deepseek-coder',
+    // Lista ordenada de modelos: em caso de limite de uso ou modelo indisponível, tenta o próximo
+    models: (process.env.GROQ_MODELS || process.env.GROQ_MODEL || 'llama-3.3-70b-versatile,llama-3.1-8b-instant')
+      .split(',')
+      .map(model => model.trim())
+      .filter(Boolean),
     maxTokens: parseInt(process.env.GROQ_MAX_TOKENS || '4096', 10),
-    temperature: parseFloat(process.env.GROQ_TEMPERATURE || '0.7')
+    temperature: parseFloat(process.env.GROQ_TEMPERATURE || '0.7'),
+    // Timeout (em ms) das chamadas ao Groq
+    timeout: parseInt(process.env.GROQ_TIMEOUT || '30000', 10),
+    // Ferramentas (function calling) para a IA consultar os contextos
+    toolsEnabled: process.env.GROQ_TOOLS_ENABLED !== 'false',
+    maxToolIterations: parseInt(process.env.GROQ_MAX_TOOL_ITERATIONS || '5', 10),
+    // Máximo de chamadas simultâneas ao Groq (somando todas as conversas); as demais aguardam na fila
+    maxConcurrent: parseInt(process.env.GROQ_MAX_CONCURRENT || '4', 10),
+    // URL base da API compatível com a OpenAI (pode apontar para um servidor local de testes)
+    baseUrl: process.env.GROQ_BASE_URL || 'https://api.groq.com/openai/v1',
+    // Transcrição de mensagens de áudio
+    transcriptionEnabled: process.env.GROQ_TRANSCRIPTION_ENABLED !== 'false',
+    transcriptionModel: process.env.GROQ_TRANSCRIPTION_MODEL || 'whisper-large-v3-turbo',
+    transcriptionLanguage: process.env.GROQ_TRANSCRIPTION_LANGUAGE || 'pt'
+  },
+  
+  // Persona (prompt de sistema base) do assistente
+  persona: {
+    // Arquivo da persona editável; por padrão, <DATA_DIR>/persona.md
+    file: process.env.PERSONA_FILE,
+    // Persona usada enquanto nenhuma versão editada existir
+    defaultFile: path.join(__dirname, 'persona.md')
+  },
+  
+  // Recuperação de contextos relevantes (RAG) antes de cada resposta
+  retrieval: {
+    enabled: process.env.RETRIEVAL_ENABLED !== 'false',
+    // Número máximo de contextos injetados e pontuação BM25 mínima
+    topK: parseInt(process.env.RETRIEVAL_TOP_K || '3', 10),
+    minScore: parseFloat(process.env.RETRIEVAL_MIN_SCORE || '1.5')
+  },
+  
+  // Resiliência das chamadas HTTP externas (Groq e Graph API)
+  resilience: {
+    maxRetries: parseInt(process.env.HTTP_MAX_RETRIES || '3', 10),
+    // Atrasos do backoff exponencial (em ms)
+    baseDelay: parseInt(process.env.HTTP_RETRY_BASE_DELAY || '500', 10),
+    maxDelay: parseInt(process.env.HTTP_RETRY_MAX_DELAY || '10000', 10),
+    // Falhas consecutivas até abrir o circuito e tempo (em ms) até testar novamente
+    failureThreshold: parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD || '5', 10),
+    resetTimeout: parseInt(process.env.CIRCUIT_RESET_TIMEOUT || '30000', 10)
+  },
+  
+  // Configurações de contextos por localização
+  location: {
+    // Raio (em metros) usado para buscar contextos a partir de uma localização compartilhada
+    searchRadius: parseInt(process.env.LOCATION_SEARCH_RADIUS || '500', 10),
+    // Intervalo mínimo (em segundos) entre notificações proativas para o mesmo usuário
+    triggerCooldown: parseInt(process.env.LOCATION_TRIGGER_COOLDOWN || '900', 10)
+  },
+  
+  // Configurações das conversas
+  conversation: {
+    // Tempo (em segundos) de inatividade após o qual o histórico é descartado (0 = nunca)
+    historyTTL: parseInt(process.env.CONVERSATION_HISTORY_TTL || '3600', 10),
+    // Orçamento estimado de tokens do histórico enviado à IA (mensagens de sistema são sempre mantidas)
+    historyTokenBudget: parseInt(process.env.CONVERSATION_TOKEN_BUDGET || '3000', 10),
+    // Resume as mensagens antigas com a IA em vez de descartá-las
+    summarize: process.env.CONVERSATION_SUMMARIZE === 'true',
+    // Janela (em ms) para agrupar mensagens de texto enviadas em sequência em um único prompt (0 = desativado)
+    coalesceWindow: parseInt(process.env.CONVERSATION_COALESCE_WINDOW || '0', 10),
+    // Máximo de mensagens aguardando na fila de cada usuário; as excedentes são descartadas
+    maxQueuedMessages: parseInt(process.env.CONVERSATION_MAX_QUEUED || '10', 10)
+  },
+  
+  // Área de atendimento (um ou mais polígonos GeoJSON)
+  serviceArea: {
+    name: process.env.SERVICE_AREA_NAME || 'Região Metropolitana do Recife',
+    boundaryFile: process.env.SERVICE_AREA_FILE || path.join(__dirname, 'serviceArea.geojson')
+  },
+  
+  // Limite de mensagens recebidas por usuário (balde de tokens)
+  rateLimit: {
+    enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+    // Mensagens que um usuário pode enviar em sequência antes de ser limitado
+    userBurst: parseInt(process.env.RATE_LIMIT_USER_BURST || '5', 10),
+    // Mensagens repostas por minuto no balde de cada usuário
+    userPerMinute: parseFloat(process.env.RATE_LIMIT_USER_PER_MINUTE || '10'),
+    // Janela (em segundos) em que o aviso "aguarde um momento" é enviado no máximo uma vez
+    noticeWindow: parseInt(process.env.RATE_LIMIT_NOTICE_WINDOW || '60', 10)
+  },
+  
+  // Configurações de armazenamento
+  storage: {
+    dataDir,
+    // Driver do catálogo de contextos: 'file' (persistente) ou 'memory'
+    contextDriver: process.env.CONTEXT_STORE || 'file',
+    // Driver do histórico de conversas: 'memory', 'file' ou 'directory' (um arquivo por usuário,
+    // lido sempre do disco e compartilhável entre instâncias)
+    conversationDriver: process.env.CONVERSATION_STORE || 'memory',
+    // Driver do índice de mídias recebidas
+    mediaDriver: process.env.MEDIA_STORE || 'file',
+    // Driver da fila de envios (outbox): um arquivo por envio, sem regravar a fila inteira a cada tentativa
+    outboxDriver: process.env.OUTBOX_STORE || 'directory',
+    // Driver das conversas em atendimento humano
+    handoffDriver: process.env.HANDOFF_STORE || 'file'
+  },
+  
+  // Encaminhamento de conversas para atendentes humanos
+  handoff: {
+    enabled: process.env.HANDOFF_ENABLED !== 'false',
+    // Frases que encaminham a conversa para um atendente (comparadas sem acentos e sem diferenciar maiúsculas)
+    triggers: (process.env.HANDOFF_TRIGGERS || 'falar com atendente,falar com um atendente,atendente humano,falar com uma pessoa,quero fazer uma reclamacao,emergencia')
+      .split(',')
+      .map(trigger => trigger.trim())
+      .filter(Boolean),
+    // Máximo de mensagens recebidas guardadas por conversa aguardando os atendentes (as mais antigas são descartadas)
+    maxMessages: parseInt(process.env.HANDOFF_MAX_MESSAGES || '200', 10)
+  },
+  
+  // Fila persistente de envios ao WhatsApp, com novas tentativas
+  outbox: {
+    // Intervalos (em segundos) entre as novas tentativas; esgotados, o envio vai para a fila de falhas
+    retryDelays: (process.env.OUTBOX_RETRY_DELAYS || '30,120,600,1800,3600')
+      .split(',')
+      .map(delay => parseInt(delay, 10))
+      .filter(delay => delay >= 0),
+    // Intervalo (em ms) da verificação de envios pendentes
+    pollInterval: parseInt(process.env.OUTBOX_POLL_INTERVAL || '5000', 10),
+    // Tempo (em segundos) que os envios concluídos permanecem na fila para consulta
+    sentRetention: parseInt(process.env.OUTBOX_SENT_RETENTION || '86400', 10)
+  },
+  
+  // Mídias recebidas (imagens, áudios, vídeos, documentos e figurinhas)
+  media: {
+    dir: path.resolve(process.env.MEDIA_DIR || path.join(dataDir, 'media')),
+    // Tamanho máximo (em bytes) de uma mídia baixada
+    maxBytes: parseInt(process.env.MEDIA_MAX_BYTES || String(16 * 1024 * 1024), 10)
+  },
+  
+  // Autenticação das rotas /api por chave de API
+  auth: {
+    // Chaves no formato nome:papel:chave, separadas por vírgula. A chave pode ser informada
+    // em texto ou como hash (sha256:<hex>). Papéis: admin, content-editor, agent e read-only
+    apiKeys: (process.env.API_KEYS || '')
+      .split(',')
+      .map(entry => entry.trim())
+      .filter(Boolean),
+    // Desativa a autenticação (apenas para desenvolvimento local)
+    disabled: process.env.API_AUTH_DISABLED === 'true',
+    // Arquivo de auditoria das chamadas que alteram dados (uma entrada JSON por linha)
+    auditFile: process.env.AUDIT_LOG_FILE || path.join(dataDir, 'audit.log')
   },
   
   // Configurações do servidor
@@ -3,6 +3,7 @@ const bodyParser = require('body-parser');
 const config = require('./config');
 const webhookRoutes = require('./routes/webhookRoutes');
 const apiRoutes = require('./routes/apiRoutes');
+const authService = require('./services/authService');
 const { errorMiddleware, setupGlobalErrorHandlers } = require('./utils/errorHandler');
 
 // Configurar capturadores de erros globais
@@ -13,7 +14,13 @@ const app = express();
 const port = process.env.PORT || config.server.port || 3000;
 
 // Middlewares
-app.use(bodyParser.json());
+// Guarda o corpo bruto da requisição para a verificação da assinatura do webhook
+app.use(bodyParser.json({
+  limit: '5mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 // Verificar se as configurações necessárias estão presentes
 function checkRequiredConfig() {
@@ -23,6 +30,18 @@ function checkRequiredConfig() {
     { key: 'GROQ_API_KEY', value: config.groq.apiKey }
   ];
 
+  if (config.whatsapp.skipSignatureVerification) {
+    console.warn('⚠️ Verificação de assinatura do webhook DESATIVADA (WHATSAPP_SKIP_SIGNATURE_VERIFICATION=true). Use apenas em desenvolvimento.');
+  } else {
+    requiredEnvVars.push({ key: 'WHATSAPP_APP_SECRET', value: config.whatsapp.appSecret });
+  }
+  
+  if (config.auth.disabled) {
+    console.warn('⚠️ Autenticação das rotas /api DESATIVADA (API_AUTH_DISABLED=true). Use apenas em desenvolvimento.');
+  } else {
+    requiredEnvVars.push({ key: 'API_KEYS', value: authService.hasKeys() });
+  }
+  
   const missingVars = requiredEnvVars.filter(item => !item.value);
   
   if (missingVars.length > 0) {
@@ -55,14 +74,32 @@ app.get('/docs', (req, res) => {
     webhookEndpoint: '/webhook',
     apiEndpoints: {
       'POST /api/send-message': 'Envia uma mensagem para um número de WhatsApp',
+      'GET /api/messages/:messageId/status': 'Consulta o status de entrega de uma mensagem enviada',
+      'GET /api/messages/failed': 'Lista as mensagens enviadas cuja entrega falhou',
+      'GET /api/outbox': 'Lista a fila de envios ao WhatsApp (?status=pending|sent|dead)',
+      'POST /api/outbox/:id/retry': 'Reenvia manualmente um envio pendente ou da fila de falhas',
+      'GET /api/media/:mediaId': 'Baixa uma mídia recebida de um usuário (?info=true para metadados)',
+      'GET /api/conversations': 'Lista as conversas em atendimento humano',
+      'GET /api/conversations/:userId': 'Consulta o modo de atendimento, as mensagens aguardando os atendentes e o histórico de uma conversa',
+      'POST /api/conversations/:userId/takeover': 'Um atendente assume a conversa; a IA deixa de responder',
+      'POST /api/conversations/:userId/release': 'Devolve a conversa em atendimento humano para a IA',
+      'GET /api/audit': 'Lista o registro de auditoria das chamadas que alteram dados (requer papel admin)',
       'POST /api/clear-history': 'Limpa o histórico de conversa de um usuário',
+      'POST /api/send-interactive': 'Envia uma mensagem interativa com botões de resposta ou lista',
+      'POST /api/send-media': 'Envia uma localização, imagem ou documento (opcionalmente a partir de um contexto)',
       'POST /api/send-welcome': 'Envia mensagem de boas-vindas para um usuário',
       'GET /api/health': 'Verifica o status do serviço',
+      'GET /api/persona': 'Exibe a persona (prompt de sistema base) do assistente',
+      'PUT /api/persona': 'Atualiza a persona do assistente',
+      'GET /api/service-area': 'Exibe a área de atendimento ativa',
       'POST /api/context': 'Adiciona um novo contexto local',
       'GET /api/context/:id': 'Obtém um contexto específico',
       'GET /api/contexts': 'Lista todos os contextos disponíveis',
+      'POST /api/contexts/import': 'Importa contextos em lote (GeoJSON ou CSV)',
+      'GET /api/contexts/export': 'Exporta os contextos (?format=geojson|csv)',
       'POST /api/contexts/nearby': 'Encontra contextos próximos a uma localização',
       'POST /api/apply-context': 'Aplica um contexto a uma conversa atual',
+      'POST /api/location-update': 'Atualiza a localização de um usuário e dispara notificações por proximidade',
       'DELETE /api/context/:id': 'Remove um contexto'
     }
   });
@@ -1,27 +1,163 @@
 const express = require('express');
+const bodyParser = require('body-parser');
 const router = express.Router();
 const whatsappService = require('../services/whatsappService');
 const conversationService = require('../services/conversationService');
+const groqService = require('../services/groqService');
 const contextService = require('../services/contextService');
+const deduplicationService = require('../services/deduplicationService');
+const serviceAreaService = require('../services/serviceAreaService');
+const personaService = require('../services/personaService');
+const messageStatusService = require('../services/messageStatusService');
+const mediaService = require('../services/mediaService');
+const rateLimitService = require('../services/rateLimitService');
+const outboxService = require('../services/outboxService');
+const authService = require('../services/authService');
+const auditService = require('../services/auditService');
+const contextFormats = require('../utils/contextFormats');
+
+/**
+ * Middleware que exige uma chave de API com o papel mínimo informado ou um dos papéis listados
+ * A chave é lida do header X-API-Key ou Authorization: Bearer <chave>
+ * Chamadas que alteram dados ou enviam mensagens são registradas na auditoria
+ * @param {string|Array<string>} role - Papel mínimo ('read-only', 'content-editor' ou 'admin') ou
+ * lista dos papéis permitidos, sem herança (ex.: ['agent', 'admin'])
+ * @param {Object} options - Opções do middleware
+ * @param {boolean} options.audit - Se deve registrar a chamada (padrão: métodos diferentes de GET)
+ * @returns {Function} - Middleware do Express
+ */
+function requireRole(role, { audit } = {}) {
+  return (req, res, next) => {
+    let identity;
+    
+    if (authService.disabled) {
+      identity = { name: 'anonymous', role: 'admin' };
+    } else {
+      const header = req.get('Authorization') || '';
+      const key = req.get('X-API-Key') || (header.startsWith('Bearer ') ? header.slice('Bearer '.length).trim() : null);
+      
+      if (!key) {
+        return res.status(401).json({
+          success: false,
+          error: 'Chave de API ausente. Envie o header X-API-Key ou Authorization: Bearer <chave>'
+        });
+      }
+      
+      identity = authService.authenticate(key);
+      
+      if (!identity) {
+        console.warn(`Chave de API inválida em ${req.method} ${req.originalUrl} (${req.ip})`);
+        return res.status(401).json({
+          success: false,
+          error: 'Chave de API inválida'
+        });
+      }
+      
+      if (!authService.hasRole(identity.role, role)) {
+        console.warn(`Chave "${identity.name}" (${identity.role}) sem permissão para ${req.method} ${req.originalUrl}`);
+        return res.status(403).json({
+          success: false,
+          error: `Permissão insuficiente: esta rota exige o papel ${[].concat(role).map(name => `"${name}"`).join(' ou ')}`
+        });
+      }
+    }
+    
+    req.apiKey = identity;
+    
+    if (audit ?? req.method !== 'GET') {
+      res.on('finish', () => {
+        auditService.record({
+          key: identity.name,
+          role: identity.role,
+          method: req.method,
+          path: req.originalUrl,
+          status: res.statusCode,
+          target: req.params.id || req.params.userId || req.body?.to || req.body?.userId || null,
+          ip: req.ip
+        });
+      });
+    }
+    
+    next();
+  };
+}
 
 /**
  * Rota para enviar uma mensagem diretamente para um usuário
+ * Se "prompt" for informado no lugar de "message", a mensagem é gerada pela IA
+ * (com o histórico do usuário e o modelo opcional "model") antes do envio.
+ * Mensagens manuais são registradas no histórico como respostas do atendente
  */
-router.post('/send-message', async (req, res) => {
+router.post('/send-message', requireRole(['agent', 'admin']), async (req, res) => {
   try {
-    const { to, message, useFallback = true } = req.body;
+    const { to, prompt, model, useFallback = true } = req.body;
+    let { message } = req.body;
     
-    if (!to || !message) {
+    if (!to || (!message && !prompt)) {
       return res.status(400).json({
         success: false,
-        error: 'Os campos "to" e "message" são obrigatórios'
+        error: 'O campo "to" e um dos campos "message" ou "prompt" são obrigatórios'
       });
     }
     
-    // Use o método com fallback se solicitado, senão use o método normal
-    const result = useFallback 
-      ? await whatsappService.sendMessageWithFallback(to, message) 
-      : await whatsappService.sendTextMessage(to, message);
+    let aiResponse = null;
+    
+    if (!message) {
+      aiResponse = await conversationService.generateReply(
+        prompt,
+        conversationService.getConversationHistory(to),
+        { model, userId: to }
+      );
+      
+      if (!aiResponse.success) {
+        return res.status(502).json({
+          success: false,
+          error: aiResponse.error
+        });
+      }
+      
+      message = aiResponse.message;
+    }
+    
+    // Respostas da IA são formatadas e divididas; mensagens manuais são enviadas como estão
+    let result;
+    
+    if (aiResponse) {
+      result = await whatsappService.sendFormattedMessage(to, message);
+    } else {
+      // Use o método com fallback se solicitado, senão use o método normal
+      result = useFallback 
+        ? await whatsappService.sendMessageWithFallback(to, message) 
+        : await whatsappService.sendTextMessage(to, message);
+    }
+    
+    if (aiResponse) {
+      // O prompt do operador é registrado antes da resposta, para que o histórico mantenha os pares de mensagens
+      if (result.success) {
+        conversationService.addToConversationHistory(to, { role: 'user', content: prompt, source: 'operator' });
+        conversationService.addToConversationHistory(to, aiResponse.aiMessage);
+        
+        // A IA pediu um atendente (a resposta enviada já avisa o usuário)
+        if (aiResponse.handoff) {
+          await conversationService.startHandoff(to, {
+            requestedBy: 'ai',
+            reason: aiResponse.handoff.reason
+          });
+        }
+      }
+      
+      return res.status(result.success ? 200 : 500).json({
+        ...result,
+        message,
+        ...(aiResponse.handoff && { handoff: true }),
+        model: aiResponse.model,
+        usage: aiResponse.usage
+      });
+    }
+    
+    if (result.success) {
+      conversationService.recordAgentMessage(to, message, req.apiKey.name);
+    }
     
     return res.status(result.success ? 200 : 500).json(result);
   } catch (error) {
@@ -36,7 +172,7 @@ router.post('/send-message', async (req, res) => {
 /**
  * Rota para enviar uma mensagem de template (para iniciar conversas após 24h)
  */
-router.post('/send-template', async (req, res) => {
+router.post('/send-template', requireRole('admin'), async (req, res) => {
   try {
     const { to, templateName, language = 'pt_BR', components = [] } = req.body;
     
@@ -64,10 +200,111 @@ router.post('/send-template', async (req, res) => {
   }
 });
 
+/**
+ * Rota para enviar uma mensagem interativa (botões de resposta ou lista)
+ * type "button": {to, type, body, buttons: [{id, title}], header?, footer?}
+ * type "list": {to, type, body, buttonText, sections: [{title, rows: [{id, title, description}]}], header?, footer?}
+ */
+router.post('/send-interactive', requireRole('admin'), async (req, res) => {
+  try {
+    const { to, type, body, buttons, buttonText, sections, header, footer } = req.body;
+    
+    if (!to || !body || !['button', 'list'].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Os campos "to", "body" e "type" ("button" ou "list") são obrigatórios'
+      });
+    }
+    
+    const result = type === 'button'
+      ? await whatsappService.sendInteractiveButtons(to, body, buttons, { header, footer })
+      : await whatsappService.sendInteractiveList(to, body, buttonText, sections, { header, footer });
+    
+    // Erros de validação não chegam a ser enviados ao WhatsApp
+    if (result.invalid) {
+      return res.status(400).json({
+        success: false,
+        error: result.error
+      });
+    }
+    
+    return res.status(result.success ? 200 : 500).json(result);
+  } catch (error) {
+    console.error('Erro ao enviar mensagem interativa via API:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Rota para enviar uma localização, imagem ou documento
+ * type "location": {to, type, latitude, longitude, name?, address?} ou {to, type, contextId}
+ * type "image": {to, type, link | mediaId, caption?} ou {to, type, contextId}
+ * type "document": {to, type, link | mediaId, caption?, filename?}
+ */
+router.post('/send-media', requireRole('admin'), async (req, res) => {
+  try {
+    const { to, type, contextId } = req.body;
+    let data = req.body;
+    
+    if (!to || !['location', 'image', 'document'].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Os campos "to" e "type" ("location", "image" ou "document") são obrigatórios'
+      });
+    }
+    
+    // Localização e imagem podem ser obtidas de um contexto cadastrado
+    if (contextId) {
+      const context = contextService.getContext(contextId);
+      
+      if (!context) {
+        return res.status(404).json({
+          success: false,
+          error: 'Contexto não encontrado'
+        });
+      }
+      
+      if (type === 'location') {
+        data = { ...context.location, name: context.name, ...data };
+      } else if (type === 'image') {
+        data = { link: context.imageUrl, caption: context.name, ...data };
+      }
+    }
+    
+    let result;
+    
+    if (type === 'location') {
+      result = await whatsappService.sendLocationMessage(to, data);
+    } else if (type === 'image') {
+      result = await whatsappService.sendImageMessage(to, data);
+    } else {
+      result = await whatsappService.sendDocumentMessage(to, data);
+    }
+    
+    if (result.invalid) {
+      return res.status(400).json({
+        success: false,
+        error: result.error
+      });
+    }
+    
+    return res.status(result.success ? 200 : 500).json(result);
+  } catch (error) {
+    console.error('Erro ao enviar mídia via API:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * Rota para iniciar uma conversa usando template e depois continuar com IA
  */
-router.post('/start-conversation', async (req, res) => {
+router.post('/start-conversation', requireRole('admin'), async (req, res) => {
   try {
     const { userId, templateName, language = 'pt_BR', components = [] } = req.body;
     
@@ -110,10 +347,170 @@ router.post('/start-conversation', async (req, res) => {
   }
 });
 
+/**
+ * Rota para listar a fila de envios ao WhatsApp
+ * Use ?status=pending|sent|dead para filtrar (dead = fila de falhas)
+ */
+router.get('/outbox', requireRole('admin'), (req, res) => {
+  try {
+    const { status } = req.query;
+    
+    if (status && !['pending', 'sent', 'dead'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'O parâmetro "status" deve ser "pending", "sent" ou "dead"'
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      stats: outboxService.getStats(),
+      data: outboxService.listJobs({ status })
+    });
+  } catch (error) {
+    console.error('Erro ao listar a fila de envios:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Rota para reenviar manualmente um envio pendente ou da fila de falhas
+ */
+router.post('/outbox/:id/retry', requireRole('admin'), async (req, res) => {
+  try {
+    const job = outboxService.getJob(req.params.id);
+    
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Envio não encontrado'
+      });
+    }
+    
+    if (job.status === 'sent') {
+      return res.status(409).json({
+        success: false,
+        error: 'O envio já foi concluído'
+      });
+    }
+    
+    const result = await outboxService.retry(req.params.id);
+    
+    if (result.inFlight) {
+      return res.status(409).json(result);
+    }
+    
+    return res.status(result.success ? 200 : 502).json({
+      ...result,
+      data: outboxService.getJob(req.params.id)
+    });
+  } catch (error) {
+    console.error('Erro ao reenviar envio da fila:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Rota para listar as mensagens enviadas cuja entrega falhou
+ */
+router.get('/messages/failed', requireRole('read-only'), (req, res) => {
+  try {
+    const failed = messageStatusService.listFailed();
+    
+    return res.status(200).json({
+      success: true,
+      count: failed.length,
+      data: failed
+    });
+  } catch (error) {
+    console.error('Erro ao listar mensagens com falha:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Rota para consultar o status de entrega de uma mensagem enviada
+ */
+router.get('/messages/:messageId/status', requireRole('read-only'), (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const status = messageStatusService.getStatus(messageId);
+    
+    if (!status) {
+      return res.status(404).json({
+        success: false,
+        error: 'Mensagem não encontrada'
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    console.error('Erro ao obter status da mensagem:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Rota para baixar uma mídia recebida de um usuário
+ * Use ?info=true para obter apenas os metadados
+ */
+router.get('/media/:mediaId', requireRole(['agent', 'admin']), (req, res) => {
+  try {
+    const media = mediaService.getMedia(req.params.mediaId);
+    
+    if (!media) {
+      return res.status(404).json({
+        success: false,
+        error: 'Mídia não encontrada'
+      });
+    }
+    
+    if (req.query.info === 'true') {
+      return res.status(200).json({
+        success: true,
+        data: media
+      });
+    }
+    
+    const filePath = mediaService.resolveMediaPath(media);
+    
+    if (!filePath) {
+      console.warn(`Mídia ${media.id} com caminho fora do diretório de mídias: ${media.filePath}`);
+      return res.status(404).json({
+        success: false,
+        error: 'Arquivo da mídia não encontrado'
+      });
+    }
+    
+    return res.type(media.mimeType || 'application/octet-stream').sendFile(filePath);
+  } catch (error) {
+    console.error('Erro ao obter mídia:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * Rota para limpar o histórico de conversa de um usuário
  */
-router.post('/clear-history', (req, res) => {
+router.post('/clear-history', requireRole('admin'), (req, res) => {
   try {
     const { userId } = req.body;
     
@@ -142,7 +539,7 @@ router.post('/clear-history', (req, res) => {
 /**
  * Rota para enviar mensagem de boas-vindas para um usuário
  */
-router.post('/send-welcome', async (req, res) => {
+router.post('/send-welcome', requireRole('admin'), async (req, res) => {
   try {
     const { userId } = req.body;
     
@@ -155,7 +552,8 @@ router.post('/send-welcome', async (req, res) => {
     
     const result = await conversationService.sendWelcomeMessage(userId);
     
-    return res.status(result.success ? 200 : 500).json(result);
+    // 202: a mensagem está na fila aguardando uma nova tentativa
+    return res.status(result.success ? 200 : (result.queued ? 202 : 500)).json(result);
   } catch (error) {
     console.error('Erro ao enviar mensagem de boas-vindas:', error);
     return res.status(500).json({
@@ -166,20 +564,213 @@ router.post('/send-welcome', async (req, res) => {
 });
 
 /**
- * Rota para verificar status do serviço
+ * Rota para listar as conversas em atendimento humano, das mais antigas para as mais recentes
+ */
+router.get('/conversations', requireRole(['agent', 'admin']), (req, res) => {
+  try {
+    return res.status(200).json({
+      success: true,
+      data: conversationService.listHandoffs()
+    });
+  } catch (error) {
+    console.error('Erro ao listar atendimentos:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Rota para consultar uma conversa: modo de atendimento, mensagens recebidas
+ * durante o atendimento humano e histórico
+ */
+router.get('/conversations/:userId', requireRole(['agent', 'admin']), (req, res) => {
+  try {
+    const { userId } = req.params;
+    const handoff = conversationService.getHandoff(userId);
+    
+    return res.status(200).json({
+      success: true,
+      data: {
+        userId,
+        mode: conversationService.getConversationMode(userId),
+        handoff,
+        history: conversationService.getConversationHistory(userId).filter(msg => msg.role !== 'system')
+      }
+    });
+  } catch (error) {
+    console.error('Erro ao consultar conversa:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Rota para um atendente assumir uma conversa; a IA deixa de responder até a devolução
+ */
+router.post('/conversations/:userId/takeover', requireRole(['agent', 'admin']), async (req, res) => {
+  try {
+    const { reason, notify = true } = req.body;
+    
+    const result = await conversationService.takeoverConversation(req.params.userId, {
+      agent: req.apiKey.name,
+      reason,
+      notify
+    });
+    
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('Erro ao assumir conversa:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Rota para devolver uma conversa em atendimento humano para a IA
+ */
+router.post('/conversations/:userId/release', requireRole(['agent', 'admin']), async (req, res) => {
+  try {
+    const { notify = true } = req.body;
+    
+    const result = await conversationService.releaseConversation(req.params.userId, { notify });
+    
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'A conversa não está em atendimento humano'
+      });
+    }
+    
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('Erro ao devolver conversa:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Rota para consultar o registro de auditoria (entradas mais recentes primeiro)
+ */
+router.get('/audit', requireRole('admin'), (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || '100', 10) || 100, 1000);
+    
+    return res.status(200).json({
+      success: true,
+      data: auditService.list(limit)
+    });
+  } catch (error) {
+    console.error('Erro ao consultar a auditoria:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Rota para verificar status do serviço (pública, para monitoramento)
  */
 router.get('/health', (req, res) => {
+  const upstreams = {
+    groq: groqService.getCircuitState(),
+    whatsapp: whatsappService.http.getState()
+  };
+  const degraded = groqService.isOpen() || whatsappService.http.isOpen();
+  
   return res.status(200).json({
     success: true,
-    message: 'Serviço operando normalmente',
-    timestamp: new Date().toISOString()
+    message: degraded
+      ? 'Serviço degradado: há serviços externos indisponíveis'
+      : 'Serviço operando normalmente',
+    timestamp: new Date().toISOString(),
+    upstreams,
+    groqConcurrency: groqService.limiter.getState(),
+    outbox: outboxService.getStats(),
+    rateLimit: rateLimitService.getStats(),
+    webhook: deduplicationService.getStats()
   });
 });
 
+/**
+ * Rota para consultar a persona (prompt de sistema base) do assistente
+ */
+router.get('/persona', requireRole('read-only'), (req, res) => {
+  try {
+    return res.status(200).json({
+      success: true,
+      data: personaService.getPersona()
+    });
+  } catch (error) {
+    console.error('Erro ao obter persona:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Rota para atualizar a persona sem necessidade de novo deploy
+ */
+router.put('/persona', requireRole('content-editor'), (req, res) => {
+  try {
+    const { prompt } = req.body;
+    
+    if (!prompt || typeof prompt !== 'string' || !prompt.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'O campo "prompt" é obrigatório'
+      });
+    }
+    
+    const persona = personaService.updatePrompt(prompt);
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Persona atualizada com sucesso',
+      data: persona
+    });
+  } catch (error) {
+    console.error('Erro ao atualizar persona:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Rota para consultar a área de atendimento ativa
+ */
+router.get('/service-area', requireRole('read-only'), (req, res) => {
+  try {
+    return res.status(200).json({
+      success: true,
+      data: serviceAreaService.getBoundary()
+    });
+  } catch (error) {
+    console.error('Erro ao obter área de atendimento:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * Rota para adicionar um novo contexto local
  */
-router.post('/context', (req, res) => {
+router.post('/context', requireRole('content-editor'), (req, res) => {
   try {
     const { id, contextData } = req.body;
     
@@ -190,14 +781,14 @@ router.post('/context', (req, res) => {
       });
     }
     
-    // Garante que só dados de Recife sejam adicionados
+    // Garante que só locais dentro da área de atendimento sejam adicionados
     const result = contextService.addContext(id, contextData);
     
     return res.status(result ? 200 : 400).json({
       success: result,
       message: result 
         ? 'Contexto adicionado com sucesso' 
-        : 'Não foi possível adicionar o contexto, verifique se a localização está em Recife'
+        : 'Não foi possível adicionar o contexto, verifique se a localização está dentro da área de atendimento'
     });
   } catch (error) {
     console.error('Erro ao adicionar contexto:', error);
@@ -211,7 +802,7 @@ router.post('/context', (req, res) => {
 /**
  * Rota para obter um contexto específico
  */
-router.get('/context/:id', (req, res) => {
+router.get('/context/:id', requireRole('read-only'), (req, res) => {
   try {
     const { id } = req.params;
     const context = contextService.getContext(id);
@@ -239,7 +830,7 @@ router.get('/context/:id', (req, res) => {
 /**
  * Rota para listar todos os contextos disponíveis
  */
-router.get('/contexts', (req, res) => {
+router.get('/contexts', requireRole('read-only'), (req, res) => {
   try {
     const contexts = contextService.listAllContexts();
     
@@ -257,10 +848,79 @@ router.get('/contexts', (req, res) => {
   }
 });
 
+/**
+ * Rota para importar contextos em lote
+ * Aceita uma FeatureCollection GeoJSON (application/json ou application/geo+json) ou um CSV (text/csv)
+ */
+router.post('/contexts/import', requireRole('content-editor'), bodyParser.text({ type: ['text/csv', 'application/geo+json'], limit: '5mb' }), (req, res) => {
+  try {
+    let records;
+    
+    try {
+      if (req.is('text/csv')) {
+        records = contextFormats.parseCSV(req.body);
+      } else {
+        const collection = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+        records = contextFormats.parseGeoJSON(collection);
+      }
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        error: parseError.message
+      });
+    }
+    
+    const report = contextService.importContexts(records);
+    
+    return res.status(200).json({
+      success: report.failed === 0,
+      message: `${report.imported} contexto(s) importado(s), ${report.failed} com erro`,
+      data: report
+    });
+  } catch (error) {
+    console.error('Erro ao importar contextos:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Rota para exportar o catálogo de contextos em GeoJSON ou CSV
+ */
+router.get('/contexts/export', requireRole('read-only'), (req, res) => {
+  try {
+    const format = (req.query.format || 'geojson').toLowerCase();
+    const contexts = contextService.getAllContexts();
+    
+    if (format === 'geojson') {
+      res.set('Content-Disposition', 'attachment; filename="contexts.geojson"');
+      return res.type('application/geo+json').send(JSON.stringify(contextFormats.toGeoJSON(contexts), null, 2));
+    }
+    
+    if (format === 'csv') {
+      res.set('Content-Disposition', 'attachment; filename="contexts.csv"');
+      return res.type('text/csv').send(contextFormats.toCSV(contexts));
+    }
+    
+    return res.status(400).json({
+      success: false,
+      error: 'Formato inválido. Use "geojson" ou "csv"'
+    });
+  } catch (error) {
+    console.error('Erro ao exportar contextos:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * Rota para encontrar contextos próximos a uma localização
  */
-router.post('/contexts/nearby', (req, res) => {
+router.post('/contexts/nearby', requireRole('read-only', { audit: false }), (req, res) => {
   try {
     const { latitude, longitude, radius } = req.body;
     
@@ -294,7 +954,7 @@ router.post('/contexts/nearby', (req, res) => {
  * Rota para aplicar contexto a uma conversa atual
  * Isso permite que o contexto local seja injetado na conversa
  */
-router.post('/apply-context', (req, res) => {
+router.post('/apply-context', requireRole('admin'), (req, res) => {
   try {
     const { userId, contextId } = req.body;
     
@@ -330,10 +990,41 @@ router.post('/apply-context', (req, res) => {
   }
 });
 
+/**
+ * Rota para atualizar a última localização conhecida de um usuário
+ * Dispara notificações proativas quando o usuário entra na área de ativação de um contexto
+ */
+router.post('/location-update', requireRole('admin'), async (req, res) => {
+  try {
+    const { userId, latitude, longitude } = req.body;
+    
+    if (!userId || !latitude || !longitude) {
+      return res.status(400).json({
+        success: false,
+        error: 'Os campos "userId", "latitude" e "longitude" são obrigatórios'
+      });
+    }
+    
+    const location = { latitude: parseFloat(latitude), longitude: parseFloat(longitude) };
+    const transitions = await conversationService.updateUserLocation(userId, location);
+    
+    return res.status(200).json({
+      success: true,
+      data: transitions
+    });
+  } catch (error) {
+    console.error('Erro ao atualizar localização:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * Rota para remover um contexto
  */
-router.delete('/context/:id', (req, res) => {
+router.delete('/context/:id', requireRole('content-editor'), (req, res) => {
   try {
     const { id } = req.params;
     const result = contextService.removeContext(id);
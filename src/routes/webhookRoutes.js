@@ -2,6 +2,32 @@ const express = require('express');
 const router = express.Router();
 const whatsappService = require('../services/whatsappService');
 const conversationService = require('../services/conversationService');
+const deduplicationService = require('../services/deduplicationService');
+const messageStatusService = require('../services/messageStatusService');
+const config = require('../config');
+
+/**
+ * Middleware que rejeita requisições sem assinatura X-Hub-Signature-256 válida
+ */
+function verifySignature(req, res, next) {
+  if (config.whatsapp.skipSignatureVerification) {
+    return next();
+  }
+  
+  const signature = req.get('X-Hub-Signature-256');
+  
+  if (!signature) {
+    console.warn('Webhook rejeitado: header X-Hub-Signature-256 ausente');
+    return res.sendStatus(401);
+  }
+  
+  if (!whatsappService.verifySignature(req.rawBody, signature)) {
+    console.warn('Webhook rejeitado: assinatura X-Hub-Signature-256 inválida');
+    return res.sendStatus(401);
+  }
+  
+  next();
+}
 
 /**
  * Rota GET para verificação do webhook do WhatsApp
@@ -28,7 +54,7 @@ router.get('/', (req, res) => {
 /**
  * Rota POST para receber mensagens do webhook do WhatsApp
  */
-router.post('/', async (req, res) => {
+router.post('/', verifySignature, async (req, res) => {
   try {
     console.log('📱 WEBHOOK RECEBIDO:', JSON.stringify(req.body, null, 2));
     // Responder rapidamente para evitar timeouts do webhook
@@ -42,12 +68,28 @@ router.post('/', async (req, res) => {
       return;
     }
     
-    const { messages } = result;
+    const { messages, statuses } = result;
+    
+    // Registrar os status de entrega das mensagens enviadas
+    for (const status of statuses) {
+      messageStatusService.recordStatus(status);
+    }
     
     // Processar cada mensagem recebida
+    // A ordem por usuário é garantida pela fila do ConversationService; usuários diferentes são atendidos em paralelo
+    const processing = [];
+    
     for (const message of messages) {
-      await conversationService.processIncomingMessage(message);
+      // Reentregas da Meta já foram respondidas, apenas confirmamos o recebimento
+      if (deduplicationService.isDuplicate(message.id)) {
+        console.log(`♻️ Mensagem duplicada ignorada: ${message.id}`);
+        continue;
+      }
+      
+      processing.push(conversationService.processIncomingMessage(message));
     }
+    
+    await Promise.all(processing);
   } catch (error) {
     console.error('Erro ao processar webhook POST:', error);
     // Já enviamos a resposta 200, então apenas log do erro
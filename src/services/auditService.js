@@ -0,0 +1,55 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+/**
+ * Registro de auditoria das chamadas que alteram dados ou enviam mensagens
+ * Cada entrada é gravada como uma linha JSON no arquivo de auditoria
+ */
+class AuditService {
+  constructor() {
+    this.filePath = config.auth.auditFile;
+  }
+
+  /**
+   * Registra uma chamada
+   * @param {Object} entry - {key, role, method, path, status, target, ip}
+   */
+  record(entry) {
+    const line = JSON.stringify({ at: new Date().toISOString(), ...entry });
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.appendFileSync(this.filePath, `${line}\n`);
+    } catch (error) {
+      console.error('Erro ao gravar o registro de auditoria:', error.message);
+    }
+
+    console.log(`📝 Auditoria: ${entry.key} (${entry.role}) ${entry.method} ${entry.path} -> ${entry.status}`);
+  }
+
+  /**
+   * Lista as entradas mais recentes do registro de auditoria
+   * @param {number} limit - Número máximo de entradas (padrão: 100)
+   * @returns {Array} - Entradas, da mais recente para a mais antiga
+   */
+  list(limit = 100) {
+    if (!fs.existsSync(this.filePath)) return [];
+
+    return fs.readFileSync(this.filePath, 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .slice(-limit)
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean)
+      .reverse();
+  }
+}
+
+module.exports = new AuditService();
@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const config = require('../config');
+
+// Papéis hierárquicos, do menor para o maior nível de acesso
+// Cada papel inclui as permissões dos papéis anteriores
+const ROLES = ['read-only', 'content-editor', 'admin'];
+
+// Papéis fora da hierarquia, liberados apenas nas rotas que os listam explicitamente
+// Cada um herda as permissões do papel hierárquico indicado
+const SCOPED_ROLES = {
+  agent: 'read-only'
+};
+
+/**
+ * Serviço de autenticação das rotas /api por chave de API
+ * As chaves são mantidas apenas como hash SHA-256 e associadas a um nome e um papel
+ */
+class AuthService {
+  constructor() {
+    this.disabled = config.auth.disabled;
+
+    // Chaves indexadas pelo hash: hash -> {name, role}
+    this.keys = new Map();
+
+    for (const entry of config.auth.apiKeys) {
+      this.registerKey(entry);
+    }
+  }
+
+  /**
+   * Registra uma chave no formato nome:papel:chave ou nome:papel:sha256:<hex>
+   * @param {string} entry - Entrada da configuração API_KEYS
+   */
+  registerKey(entry) {
+    const [name, role, ...secretParts] = entry.split(':');
+    const secret = secretParts.join(':');
+
+    const validRoles = [...ROLES, ...Object.keys(SCOPED_ROLES)];
+
+    if (!name || !secret || !validRoles.includes(role)) {
+      console.warn(`Chave de API "${name || entry}" ignorada: use o formato nome:papel:chave com um papel válido (${validRoles.join(', ')})`);
+      return;
+    }
+
+    const hash = secret.startsWith('sha256:') ? secret.slice('sha256:'.length).toLowerCase() : this.hashKey(secret);
+    this.keys.set(hash, { name, role });
+  }
+
+  /**
+   * Calcula o hash de uma chave de API
+   * @param {string} key - Chave em texto
+   * @returns {string} - Hash SHA-256 em hexadecimal
+   */
+  hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Indica se há ao menos uma chave válida configurada
+   * @returns {boolean} - Se há chaves configuradas
+   */
+  hasKeys() {
+    return this.keys.size > 0;
+  }
+
+  /**
+   * Identifica a chave de API apresentada na requisição
+   * @param {string} key - Chave em texto
+   * @returns {Object|null} - {name, role} ou null se a chave não existir
+   */
+  authenticate(key) {
+    if (!key) return null;
+    return this.keys.get(this.hashKey(key)) || null;
+  }
+
+  /**
+   * Verifica se um papel tem o nível de acesso exigido
+   * @param {string} role - Papel da chave
+   * @param {string|Array<string>} requiredRole - Papel mínimo exigido ou lista dos papéis permitidos
+   * @returns {boolean} - Se o acesso é permitido
+   */
+  hasRole(role, requiredRole) {
+    if (Array.isArray(requiredRole)) {
+      return requiredRole.includes(role);
+    }
+
+    const level = ROLES.indexOf(SCOPED_ROLES[role] || role);
+    return level !== -1 && level >= ROLES.indexOf(requiredRole);
+  }
+}
+
+module.exports = new AuthService();
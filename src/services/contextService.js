@@ -1,4 +1,6 @@
-const NodeCache = require('node-cache');
+const config = require('../config');
+const { createStore } = require('../storage');
+const serviceAreaService = require('./serviceAreaService');
 
 /**
  * Serviço para gerenciar contextos sobre locais em Recife
@@ -7,14 +9,46 @@ const NodeCache = require('node-cache');
  */
 class ContextService {
   constructor() {
-    // Cache para armazenar os contextos (TTL em segundos: 24 horas)
-    this.contextCache = new NodeCache({ stdTTL: 86400, checkperiod: 3600 });
+    // Armazenamento persistente dos contextos (driver configurável)
+    // Os contextos não expiram, a menos que tenham o campo expiresAt
+    this.contextStore = createStore(config.storage.contextDriver, 'contexts');
     
     // Sistema de ativação por localização - armazena raios de ação em metros
     this.locationTriggers = new Map();
     
-    // Inicializa com alguns contextos padrão de Recife
-    this.initializeDefaultContexts();
+    // Versão do catálogo, incrementada a cada alteração (usada para invalidar índices derivados)
+    this.version = 0;
+    
+    // Metadados do catálogo (ex.: seededAt, data em que os contextos padrão foram adicionados)
+    this.metaStore = createStore(config.storage.contextDriver, 'contexts-meta');
+    
+    // Carrega o catálogo armazenado; apenas no primeiro uso, inicializa com os contextos padrão de Recife
+    // (um catálogo esvaziado pelo operador continua vazio após reiniciar)
+    this.loadStoredContexts();
+    if (!this.metaStore.has('seededAt')) {
+      if (this.contextStore.keys().length === 0) {
+        this.initializeDefaultContexts();
+      }
+      
+      this.metaStore.set('seededAt', new Date().toISOString());
+    }
+  }
+
+  /**
+   * Carrega os contextos já armazenados, descartando os expirados
+   * e reconstruindo o sistema de ativação por localização
+   */
+  loadStoredContexts() {
+    for (const id of this.contextStore.keys()) {
+      const context = this.contextStore.get(id);
+      
+      if (this.isExpired(context)) {
+        this.contextStore.delete(id);
+        continue;
+      }
+      
+      this.registerTrigger(id, context);
+    }
   }
 
   /**
@@ -29,7 +63,8 @@ class ContextService {
       location: { latitude: -8.063053, longitude: -34.871099 },
       info: 'O Marco Zero é um dos principais pontos turísticos do Recife, localizado no Bairro do Recife. É o marco oficial que representa o local onde a cidade foi fundada. A partir dele, medem-se as distâncias da capital pernambucana para outras localidades. A praça abriga uma estátua de bronze de Barão do Rio Branco e é cercada por edifícios históricos.',
       services: ['Informações turísticas', 'Alimentação nas proximidades', 'Passeios de catamarã'],
-      events: 'Frequentemente ocorrem apresentações culturais, especialmente durante o Carnaval e outras festividades locais.'
+      events: 'Frequentemente ocorrem apresentações culturais, especialmente durante o Carnaval e outras festividades locais.',
+      triggerRadius: 80
     });
     
     // Rua do Bom Jesus
@@ -39,7 +74,8 @@ class ContextService {
       location: { latitude: -8.062457, longitude: -34.872466 },
       info: 'A Rua do Bom Jesus é uma das mais antigas e famosas do Recife. Antigamente conhecida como Rua dos Judeus, por ter abrigado a primeira sinagoga das Américas, hoje é um ponto cultural importante com casarões coloridos, bares e restaurantes. Durante o domingo, se transforma em um polo de atrações com música ao vivo.',
       services: ['Bares e restaurantes', 'Lojas de artesanato', 'Pontos culturais'],
-      history: 'Abrigou a primeira sinagoga das Américas, Kahal Zur Israel, construída durante o período holandês no Brasil.'
+      history: 'Abrigou a primeira sinagoga das Américas, Kahal Zur Israel, construída durante o período holandês no Brasil.',
+      triggerRadius: 40
     });
     
     // Paço do Frevo
@@ -49,55 +85,101 @@ class ContextService {
       location: { latitude: -8.062151, longitude: -34.872022 },
       info: 'O Paço do Frevo é um espaço cultural dedicado à difusão, pesquisa e ensino do frevo, ritmo pernambucano declarado Patrimônio Imaterial da Humanidade pela UNESCO. O museu possui exposições permanentes e temporárias, além de oferecer aulas de dança.',
       services: ['Exposições', 'Aulas de dança', 'Biblioteca especializada', 'Loja de souvenirs'],
-      operatingHours: 'Terça a sexta: 10h às 17h, Sábados e domingos: 11h às 18h'
+      operatingHours: 'Terça a sexta: 10h às 17h, Sábados e domingos: 11h às 18h',
+      triggerRadius: 40
     });
   }
 
   /**
    * Adiciona um novo contexto ao serviço
    * @param {string} id - Identificador único do contexto
-   * @param {Object} contextData - Dados do contexto
+   * @param {Object} contextData - Dados do contexto (expiresAt opcional, em formato ISO)
    * @returns {boolean} - Sucesso da operação
    */
   addContext(id, contextData) {
-    // Valida se é um local em Recife (validação simples por coordenadas)
-    if (contextData.location) {
-      const { latitude, longitude } = contextData.location;
-      const recifeArea = {
-        minLat: -8.16, maxLat: -7.93,  // Limites aproximados de Recife
-        minLng: -35.00, maxLng: -34.80
-      };
-      
-      const isInRecife = latitude >= recifeArea.minLat && latitude <= recifeArea.maxLat &&
-                         longitude >= recifeArea.minLng && longitude <= recifeArea.maxLng;
-      
-      if (!isInRecife) {
-        console.warn(`Localização ${id} está fora dos limites de Recife e não será adicionada.`);
-        return false;
-      }
-      
-      // Se tiver um raio de ativação, registra no sistema de trigger por localização
-      if (contextData.triggerRadius) {
-        this.locationTriggers.set(id, {
-          location: contextData.location,
-          radius: contextData.triggerRadius // raio em metros
-        });
-      }
+    // Valida se o local está dentro da área de atendimento configurada
+    if (contextData.location && !serviceAreaService.contains(contextData.location)) {
+      console.warn(`Localização ${id} está fora da área de atendimento (${serviceAreaService.name}) e não será adicionada.`);
+      return false;
+    }
+    
+    // Valida a data de expiração, se informada
+    if (contextData.expiresAt && Number.isNaN(Date.parse(contextData.expiresAt))) {
+      console.warn(`Contexto ${id} possui expiresAt inválido e não será adicionado.`);
+      return false;
+    }
+    
+    // Valida a URL da imagem do local, se informada
+    if (contextData.imageUrl && !/^https?:\/\/\S+$/i.test(contextData.imageUrl)) {
+      console.warn(`Contexto ${id} possui imageUrl inválida e não será adicionado.`);
+      return false;
     }
     
     // Adiciona timestamp
     contextData.updatedAt = new Date().toISOString();
-    this.contextCache.set(id, contextData);
+    this.contextStore.set(id, contextData);
+    this.version++;
+    
+    // Se tiver um raio de ativação, registra no sistema de trigger por localização
+    this.registerTrigger(id, contextData);
     return true;
   }
 
+  /**
+   * Registra (ou remove) o raio de ativação de um contexto no sistema de trigger por localização
+   * @param {string} id - Identificador único do contexto
+   * @param {Object} contextData - Dados do contexto
+   */
+  registerTrigger(id, contextData) {
+    if (contextData.location && contextData.triggerRadius) {
+      this.locationTriggers.set(id, {
+        location: contextData.location,
+        radius: contextData.triggerRadius // raio em metros
+      });
+    } else {
+      this.locationTriggers.delete(id);
+    }
+  }
+
+  /**
+   * Verifica se um contexto já expirou
+   * @param {Object} context - Dados do contexto
+   * @returns {boolean} - Se o contexto possui expiresAt no passado
+   */
+  isExpired(context) {
+    return Boolean(context.expiresAt) && Date.parse(context.expiresAt) <= Date.now();
+  }
+
   /**
    * Obtém um contexto pelo seu identificador
    * @param {string} id - Identificador único do contexto
    * @returns {Object|null} - Dados do contexto ou null se não existir
    */
   getContext(id) {
-    return this.contextCache.get(id) || null;
+    const context = this.contextStore.get(id);
+    
+    if (!context) return null;
+    
+    // Remove contextos expirados no momento da leitura
+    if (this.isExpired(context)) {
+      this.removeContext(id);
+      return null;
+    }
+    
+    return context;
+  }
+
+  /**
+   * Obtém todos os contextos válidos com seus identificadores
+   * @returns {Array} - Lista de contextos completos {id, ...dados}
+   */
+  getAllContexts() {
+    return this.contextStore.keys()
+      .map(id => {
+        const context = this.getContext(id);
+        return context ? { id, ...context } : null;
+      })
+      .filter(Boolean);
   }
 
   /**
@@ -105,16 +187,111 @@ class ContextService {
    * @returns {Array} - Lista de contextos
    */
   listAllContexts() {
-    const keys = this.contextCache.keys();
-    return keys.map(key => {
-      const context = this.contextCache.get(key);
-      return {
-        id: key,
+    return this.getAllContexts().map(context => ({
+      id: context.id,
+      name: context.name,
+      description: context.description,
+      location: context.location
+    }));
+  }
+
+  /**
+   * Normaliza um texto para busca (minúsculas e sem acentos)
+   * @param {string} text - Texto original
+   * @returns {string} - Texto normalizado
+   */
+  normalizeText(text) {
+    return String(text || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .trim();
+  }
+
+  /**
+   * Busca contextos pelo nome (ignorando acentos e maiúsculas)
+   * Resultados com o nome correspondente aparecem antes dos encontrados pela descrição
+   * @param {string} query - Nome ou parte do nome do local
+   * @param {number} limit - Número máximo de resultados (padrão: 5)
+   * @returns {Array} - Contextos encontrados {id, name, description, location}
+   */
+  searchContextsByName(query, limit = 5) {
+    const normalizedQuery = this.normalizeText(query);
+    if (!normalizedQuery) return [];
+    
+    const matches = [];
+    
+    for (const context of this.getAllContexts()) {
+      const name = this.normalizeText(context.name);
+      const description = this.normalizeText(context.description);
+      
+      let score = 0;
+      if (name === normalizedQuery) score = 3;
+      else if (name.includes(normalizedQuery) || normalizedQuery.includes(name)) score = 2;
+      else if (description.includes(normalizedQuery)) score = 1;
+      
+      if (score > 0) {
+        matches.push({ score, context });
+      }
+    }
+    
+    return matches
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ context }) => ({
+        id: context.id,
         name: context.name,
         description: context.description,
         location: context.location
-      };
+      }));
+  }
+
+  /**
+   * Importa contextos em lote, validando cada registro individualmente
+   * @param {Array} records - Registros {row, id, contextData, error?}
+   * @returns {Object} - Relatório {imported, failed, results: [{row, id, success, error?}]}
+   */
+  importContexts(records) {
+    const results = records.map(({ row, id, contextData, error }) => {
+      const fail = message => ({ row, id: id || null, success: false, error: message });
+      
+      if (error) return fail(error);
+      if (!id) return fail('Campo "id" ausente');
+      if (!contextData.name) return fail('Campo "name" ausente');
+      
+      if (contextData.location) {
+        const { latitude, longitude } = contextData.location;
+        if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+          return fail('Coordenadas inválidas');
+        }
+      }
+      
+      if (contextData.triggerRadius !== undefined &&
+          (!Number.isFinite(contextData.triggerRadius) || contextData.triggerRadius <= 0)) {
+        return fail('Campo "triggerRadius" deve ser um número positivo');
+      }
+      
+      if (contextData.expiresAt !== undefined) {
+        const expiresAt = Date.parse(contextData.expiresAt);
+        
+        if (Number.isNaN(expiresAt)) return fail('Campo "expiresAt" deve ser uma data em formato ISO');
+        if (expiresAt <= Date.now()) return fail('Campo "expiresAt" está no passado: o contexto já expirou');
+      }
+      
+      if (!this.addContext(String(id), contextData)) {
+        return fail('Contexto rejeitado: localização fora da área de atendimento ou dados inválidos');
+      }
+      
+      return { row, id: String(id), success: true };
     });
+    
+    const imported = results.filter(result => result.success).length;
+    
+    return {
+      imported,
+      failed: results.length - imported,
+      results
+    };
   }
 
   /**
@@ -127,9 +304,7 @@ class ContextService {
     const { latitude, longitude } = location;
     const nearbyContexts = [];
     
-    const keys = this.contextCache.keys();
-    for (const key of keys) {
-      const context = this.contextCache.get(key);
+    for (const context of this.getAllContexts()) {
       if (context.location) {
         const distance = this.calculateDistance(
           latitude, longitude,
@@ -139,7 +314,6 @@ class ContextService {
         // Se estiver dentro do raio especificado (converte para metros)
         if (distance * 1000 <= radius) {
           nearbyContexts.push({
-            id: key,
             ...context,
             distance: Math.round(distance * 1000) // distância em metros
           });
@@ -151,6 +325,28 @@ class ContextService {
     return nearbyContexts.sort((a, b) => a.distance - b.distance);
   }
   
+  /**
+   * Monta um resumo do contexto formatado para envio pelo WhatsApp
+   * @param {Object} context - Dados do contexto (com distância opcional em metros)
+   * @returns {string} - Texto do resumo
+   */
+  buildContextSummary(context) {
+    const lines = [];
+
+    const distanceInfo = typeof context.distance === 'number' ? ` (a ${context.distance} m de você)` : '';
+    lines.push(`📍 *${context.name}*${distanceInfo}`);
+
+    if (context.description) lines.push(context.description);
+    if (context.info) lines.push('', context.info);
+    if (context.services && context.services.length > 0) {
+      lines.push('', `🛎️ *Serviços:* ${context.services.join(', ')}`);
+    }
+    if (context.operatingHours) lines.push(`🕒 *Horário:* ${context.operatingHours}`);
+    if (context.events) lines.push(`🎭 *Eventos:* ${context.events}`);
+
+    return lines.join('\n');
+  }
+
   /**
    * Calcula a distância entre dois pontos usando a fórmula de Haversine
    * @param {number} lat1 - Latitude do ponto 1
@@ -191,7 +387,9 @@ class ContextService {
     if (this.locationTriggers.has(id)) {
       this.locationTriggers.delete(id);
     }
-    return this.contextCache.del(id);
+    const removed = this.contextStore.delete(id);
+    if (removed) this.version++;
+    return removed;
   }
 }
 
@@ -1,12 +1,73 @@
-const NodeCache = require('node-cache');
+const path = require('path');
 const whatsappService = require('./whatsappService');
 const groqService = require('./groqService');
+const contextService = require('./contextService');
+const geofenceService = require('./geofenceService');
+const toolService = require('./toolService');
+const retrievalService = require('./retrievalService');
+const mediaService = require('./mediaService');
+const rateLimitService = require('./rateLimitService');
+const outboxService = require('./outboxService');
+const config = require('../config');
+const { createStore } = require('../storage');
+const { estimateHistoryTokens, estimateMessageTokens } = require('../utils/tokenEstimator');
+
+// Prefixo dos ids dos itens de lista que representam um contexto (ex.: "context:marco_zero")
+const CONTEXT_SELECTION_PREFIX = 'context:';
 
 class ConversationService {
   constructor() {
-    // Cache para armazenar históricos de conversa (TTL em segundos: 30 minutos)
-    this.conversationCache = new NodeCache({ stdTTL: 3600, checkperiod: 600 });
-    this.maxMessages = 10;
+    // Armazenamento dos históricos de conversa (driver configurável)
+    // Cada registro tem o formato {messages, updatedAt}
+    this.historyStore = createStore(config.storage.conversationDriver, 'conversations');
+    this.historyTTL = config.conversation.historyTTL;
+    
+    // Orçamento de tokens do histórico e resumo das mensagens antigas
+    this.historyTokenBudget = config.conversation.historyTokenBudget;
+    this.summarizeHistory = config.conversation.summarize;
+    
+    // Fila de resumos por usuário, para que resumos simultâneos não se sobrescrevam
+    this.summaryQueues = new Map();
+    
+    // Fila de processamento por usuário: mensagens do mesmo usuário são processadas em ordem,
+    // enquanto usuários diferentes são atendidos em paralelo
+    this.messageQueues = new Map();
+    this.queueSizes = new Map();
+    this.maxQueuedMessages = config.conversation.maxQueuedMessages;
+    
+    // Mensagens de texto aguardando a janela de agrupamento, por usuário
+    this.coalesceWindow = config.conversation.coalesceWindow;
+    this.pendingMessages = new Map();
+    
+    // Limite de rodadas de chamadas de ferramentas por resposta
+    this.maxToolIterations = config.groq.maxToolIterations;
+    
+    // Áudios recebidos são transcritos e tratados como texto digitado
+    this.audioTranscription = config.groq.transcriptionEnabled;
+    
+    // Último contexto cuja foto/pin foi enviado a cada usuário {contextId, at}, para não repetir
+    // o envio a cada pergunta sobre o mesmo local
+    this.featuredContexts = new Map();
+    
+    // Conversas em atendimento humano: conversas com registro estão no modo 'human', as demais no modo 'bot'
+    // Cada registro tem o formato {userId, mode, requestedBy, reason, agent, since, updatedAt, lastReplyAt, messages}
+    this.handoffStore = createStore(config.storage.handoffDriver, 'handoffs');
+    this.handoffEnabled = config.handoff.enabled;
+    this.handoffTriggers = config.handoff.triggers.map(trigger => contextService.normalizeText(trigger));
+    this.handoffMaxMessages = config.handoff.maxMessages;
+    
+    // Remove periodicamente os históricos inativos (a cada 10 minutos)
+    if (this.historyTTL > 0) {
+      setInterval(() => this.pruneExpiredHistories(), 600 * 1000).unref();
+    }
+    
+    // Resposta para usuários que enviam mensagens rápido demais
+    this.rateLimitMessage = '⏳ Recebi várias mensagens suas em sequência. Por favor, aguarde um momento antes de enviar a próxima, que já te respondo. 🙏';
+    
+    // Avisos do encaminhamento para atendentes humanos
+    this.handoffMessage = '👤 Encaminhei sua conversa para um atendente da Prefeitura, que vai continuar o atendimento por aqui em breve. Enquanto isso, você pode enviar mais detalhes.';
+    this.takeoverMessage = '👤 Um atendente da Prefeitura assumiu a conversa e vai continuar o atendimento por aqui.';
+    this.releaseMessage = '🤖 O atendimento com a equipe da Prefeitura foi encerrado. Se precisar de mais alguma informação sobre a cidade, é só me mandar uma mensagem!';
     
     // Mensagem de boas-vindas para novos usuários
     this.welcomeMessage = `✨ *Bem-vindo ao InfoCidadão* ✨
@@ -42,7 +103,56 @@ Estamos aqui para tornar sua experiência na cidade mais rica e conectada! 🌆`
    * @returns {Array} - Array com histórico de mensagens
    */
   getConversationHistory(userId) {
-    return this.conversationCache.get(userId) || [];
+    const entry = this.historyStore.get(userId);
+    
+    if (!entry) return [];
+    
+    if (this.isHistoryExpired(entry)) {
+      this.historyStore.delete(userId);
+      return [];
+    }
+    
+    return entry.messages;
+  }
+
+  /**
+   * Salva o histórico de conversas de um usuário
+   * @param {string} userId - ID único do usuário (número de telefone)
+   * @param {Array} messages - Histórico completo de mensagens
+   */
+  saveConversationHistory(userId, messages) {
+    this.historyStore.set(userId, {
+      messages,
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Verifica se um histórico está inativo há mais tempo que o TTL configurado
+   * @param {Object} entry - Registro do histórico {messages, updatedAt}
+   * @returns {boolean} - Se o histórico expirou
+   */
+  isHistoryExpired(entry) {
+    if (!this.historyTTL) return false;
+    return Date.now() - Date.parse(entry.updatedAt) > this.historyTTL * 1000;
+  }
+
+  /**
+   * Remove todos os históricos expirados do armazenamento
+   */
+  pruneExpiredHistories() {
+    for (const userId of this.historyStore.keys()) {
+      const entry = this.historyStore.get(userId);
+      if (entry && this.isHistoryExpired(entry)) {
+        this.historyStore.delete(userId);
+      }
+    }
+    
+    for (const [userId, featured] of this.featuredContexts) {
+      if (Date.now() - featured.at > this.historyTTL * 1000) {
+        this.featuredContexts.delete(userId);
+      }
+    }
   }
 
   /**
@@ -55,10 +165,108 @@ Estamos aqui para tornar sua experiência na cidade mais rica e conectada! 🌆`
     history.push(message);
     
     // Limitar histórico para evitar consumo excessivo de tokens
-    const limitedHistory = history.slice(-this.maxMessages);
+    const { kept, dropped } = this.trimHistory(history);
+    
+    this.saveConversationHistory(userId, kept);
+    
+    if (dropped.length > 0 && this.summarizeHistory) {
+      this.enqueueSummary(userId, dropped);
+    }
+    
+    return kept;
+  }
+
+  /**
+   * Reduz o histórico ao orçamento de tokens, descartando as mensagens mais antigas
+   * Mensagens de sistema (contexto do local e resumo) e a última mensagem são sempre mantidas.
+   * Ao exceder o orçamento, reduz para 75% dele, para que os descartes (e resumos) ocorram em lotes
+   * @param {Array} history - Histórico completo
+   * @returns {Object} - {kept: histórico reduzido, dropped: mensagens removidas}
+   */
+  trimHistory(history) {
+    let total = estimateHistoryTokens(history);
+    if (total <= this.historyTokenBudget) {
+      return { kept: history, dropped: [] };
+    }
     
-    this.conversationCache.set(userId, limitedHistory);
-    return limitedHistory;
+    const target = Math.floor(this.historyTokenBudget * 0.75);
+    const dropped = [];
+    const kept = [...history];
+    
+    for (let i = 0; i < kept.length - 1 && total > target;) {
+      if (kept[i].role === 'system') {
+        i++;
+        continue;
+      }
+      
+      const [removed] = kept.splice(i, 1);
+      total -= estimateMessageTokens(removed);
+      dropped.push(removed);
+    }
+    
+    return { kept, dropped };
+  }
+
+  /**
+   * Agenda a atualização do resumo da conversa com as mensagens descartadas
+   * @param {string} userId - ID único do usuário
+   * @param {Array} dropped - Mensagens removidas do histórico
+   */
+  enqueueSummary(userId, dropped) {
+    const previous = this.summaryQueues.get(userId) || Promise.resolve();
+    
+    const next = previous
+      .then(() => this.updateSummary(userId, dropped))
+      .catch(error => console.error(`Erro ao resumir histórico de ${userId}:`, error.message))
+      .finally(() => {
+        if (this.summaryQueues.get(userId) === next) {
+          this.summaryQueues.delete(userId);
+        }
+      });
+    
+    this.summaryQueues.set(userId, next);
+  }
+
+  /**
+   * Pede à IA um resumo atualizado da conversa incluindo as mensagens descartadas
+   * e grava o resumo como mensagem de sistema no histórico
+   * @param {string} userId - ID único do usuário
+   * @param {Array} dropped - Mensagens removidas do histórico
+   */
+  async updateSummary(userId, dropped) {
+    const currentSummary = this.getConversationHistory(userId).find(msg => msg.kind === 'summary');
+    
+    const speaker = msg => {
+      if (msg.source === 'operator') return 'Operador';
+      if (msg.role === 'user') return msg.source === 'audio' ? 'Usuário (por áudio)' : 'Usuário';
+      return msg.source === 'agent' ? 'Atendente' : 'Assistente';
+    };
+    
+    const transcript = dropped
+      .map(msg => `${speaker(msg)}: ${msg.content}`)
+      .join('\n');
+    
+    const prompt = `${currentSummary ? `Resumo anterior da conversa:\n${currentSummary.content}\n\n` : ''}Novas mensagens:\n${transcript}\n\nEscreva um resumo atualizado e conciso (no máximo 5 frases) desta conversa, preservando nomes de locais, pedidos e informações importantes fornecidas pelo usuário.`;
+    
+    const aiResponse = await groqService.getCompletion(prompt, [{
+      role: 'system',
+      content: 'Você resume conversas de atendimento ao cidadão de forma objetiva, em português.'
+    }], { usePersona: false });
+    
+    if (!aiResponse.success) {
+      throw new Error(`Falha ao gerar resumo: ${JSON.stringify(aiResponse.error)}`);
+    }
+    
+    // Relê o histórico, pois ele pode ter mudado durante a chamada à IA
+    const history = this.getConversationHistory(userId).filter(msg => msg.kind !== 'summary');
+    history.unshift({
+      role: 'system',
+      kind: 'summary',
+      content: `Resumo da conversa até aqui: ${aiResponse.message}`
+    });
+    
+    this.saveConversationHistory(userId, history);
+    console.log(`📝 Resumo do histórico de ${userId} atualizado (${dropped.length} mensagem(ns) resumida(s))`);
   }
 
   /**
@@ -81,36 +289,190 @@ ${context.events ? `Eventos: ${context.events}` : ''}
 ${context.history ? `História: ${context.history}` : ''}
 ${context.operatingHours ? `Horário de funcionamento: ${context.operatingHours}` : ''}
 
-Instruções: Utilize essas informações para fornecer dados precisos e relevantes sobre este local em Recife quando o usuário fizer perguntas relacionadas. Foque suas respostas apenas em informações reais e verificáveis da cidade do Recife. Não forneça informações sobre outras cidades ou invente dados fictícios.
+Instruções: ${context.systemPrompt || 'Utilize essas informações para fornecer dados precisos e relevantes sobre este local em Recife quando o usuário fizer perguntas relacionadas. Foque suas respostas apenas em informações reais e verificáveis da cidade do Recife. Não forneça informações sobre outras cidades ou invente dados fictícios.'}
       `.trim()
     };
     
     // Obter histórico atual
     const history = this.getConversationHistory(userId);
     
-    // Remover qualquer contexto de sistema anterior
-    const filteredHistory = history.filter(msg => msg.role !== 'system');
+    // Remover qualquer contexto de sistema anterior (o resumo da conversa é mantido)
+    const filteredHistory = history.filter(msg => msg.role !== 'system' || msg.kind === 'summary');
     
     // Adicionar novo contexto no início do histórico
     filteredHistory.unshift(contextMessage);
     
     // Salvar histórico atualizado
-    this.conversationCache.set(userId, filteredHistory);
+    this.saveConversationHistory(userId, filteredHistory);
     
     return filteredHistory;
   }
 
+  /**
+   * Recebe uma mensagem e a coloca na fila do usuário
+   * Mensagens do mesmo usuário são processadas uma de cada vez, na ordem de chegada.
+   * Com o agrupamento ativo, textos enviados em sequência são respondidos como um único prompt
+   * @param {Object} message - Mensagem recebida
+   * @param {Object} options - Opções da IA {model} (opcional)
+   * @returns {Promise<Object>} - Resultado do processamento
+   */
+  async processIncomingMessage(message, options = {}) {
+    const userId = message.from;
+    
+    // O limite é verificado na chegada, e não ao sair da fila, para que o balde não seja reposto
+    // enquanto as mensagens anteriores ainda são processadas. Em atendimento humano não há limite:
+    // as mensagens apenas são guardadas para os atendentes
+    if (!this.isHumanMode(userId)) {
+      const rateLimit = rateLimitService.consume(userId);
+      
+      if (!rateLimit.allowed) {
+        return this.rejectRateLimited(userId, rateLimit);
+      }
+    }
+    
+    if ((this.queueSizes.get(userId) || 0) >= this.maxQueuedMessages) {
+      console.warn(`🚦 Mensagem de ${userId} descartada: ${this.maxQueuedMessages} mensagens já aguardam na fila`);
+      return {
+        success: true,
+        rateLimited: true,
+        message: 'Mensagem descartada: a fila do usuário está cheia'
+      };
+    }
+    
+    // Em atendimento humano, cada mensagem é guardada separadamente para os atendentes
+    if (this.coalesceWindow > 0 && message.type === 'text' && !this.isHumanMode(userId)) {
+      return this.coalesceMessage(message, options);
+    }
+    
+    // Outros tipos de mensagem encerram o agrupamento pendente, preservando a ordem
+    this.flushPendingMessages(userId);
+    return this.runInUserQueue(userId, () => this.handleIncomingMessage(message, options));
+  }
+
+  /**
+   * Executa uma tarefa na fila do usuário, após as tarefas anteriores do mesmo usuário
+   * @param {string} userId - ID do usuário (número de telefone)
+   * @param {Function} task - Função assíncrona a ser executada
+   * @returns {Promise<*>} - Resultado da tarefa
+   */
+  runInUserQueue(userId, task) {
+    const previous = this.messageQueues.get(userId) || Promise.resolve();
+    const result = previous.then(task);
+    
+    this.queueSizes.set(userId, (this.queueSizes.get(userId) || 0) + 1);
+    
+    const next = result
+      .catch(() => {})
+      .finally(() => {
+        const size = this.queueSizes.get(userId) - 1;
+        if (size > 0) this.queueSizes.set(userId, size);
+        else this.queueSizes.delete(userId);
+        
+        if (this.messageQueues.get(userId) === next) {
+          this.messageQueues.delete(userId);
+        }
+      });
+    
+    this.messageQueues.set(userId, next);
+    return result;
+  }
+
+  /**
+   * Descarta uma mensagem acima do limite do usuário, que recebe um aviso (no máximo uma vez por janela)
+   * @param {string} userId - ID do usuário (número de telefone)
+   * @param {Object} rateLimit - Resultado do RateLimitService {retryAfter, notify}
+   * @returns {Promise<Object>} - Resultado do processamento
+   */
+  async rejectRateLimited(userId, rateLimit) {
+    console.warn(`🚦 Mensagem de ${userId} descartada por excesso (nova mensagem em ${rateLimit.retryAfter} s)`);
+    
+    if (rateLimit.notify) {
+      await whatsappService.sendMessageWithFallback(userId, this.rateLimitMessage, this.defaultTemplate);
+    }
+    
+    return {
+      success: true,
+      rateLimited: true,
+      message: 'Mensagem descartada por excesso de mensagens do usuário',
+      retryAfter: rateLimit.retryAfter
+    };
+  }
+
+  /**
+   * Aguarda a janela de agrupamento antes de processar uma mensagem de texto
+   * Cada nova mensagem reinicia a janela, até o limite de 3 janelas desde a primeira mensagem
+   * @param {Object} message - Mensagem de texto recebida
+   * @param {Object} options - Opções da IA {model} (opcional)
+   * @returns {Promise<Object>} - Resultado do processamento do grupo de mensagens
+   */
+  coalesceMessage(message, options) {
+    const userId = message.from;
+    let pending = this.pendingMessages.get(userId);
+    
+    if (!pending) {
+      pending = { messages: [], options, firstAt: Date.now(), timer: null, waiters: [] };
+      this.pendingMessages.set(userId, pending);
+    }
+    
+    pending.messages.push(message);
+    clearTimeout(pending.timer);
+    
+    const remaining = pending.firstAt + this.coalesceWindow * 3 - Date.now();
+    pending.timer = setTimeout(() => this.flushPendingMessages(userId), Math.max(0, Math.min(this.coalesceWindow, remaining)));
+    
+    return new Promise(resolve => pending.waiters.push(resolve));
+  }
+
+  /**
+   * Envia para a fila do usuário as mensagens de texto aguardando agrupamento, como uma única mensagem
+   * @param {string} userId - ID do usuário (número de telefone)
+   */
+  flushPendingMessages(userId) {
+    const pending = this.pendingMessages.get(userId);
+    if (!pending) return;
+    
+    this.pendingMessages.delete(userId);
+    clearTimeout(pending.timer);
+    
+    const { messages } = pending;
+    let message = messages[0];
+    
+    if (messages.length > 1) {
+      console.log(`🧩 ${messages.length} mensagens de ${userId} agrupadas em um único prompt`);
+      message = {
+        ...messages[messages.length - 1],
+        text: messages.map(item => item.text).join('\n'),
+        coalesced: messages.map(item => item.id)
+      };
+    }
+    
+    const result = this.runInUserQueue(userId, () => this.handleIncomingMessage(message, pending.options));
+    pending.waiters.forEach(resolve => resolve(result));
+  }
+
   /**
    * Processa uma mensagem recebida e envia a resposta para o WhatsApp
    * @param {Object} message - Mensagem recebida
+   * @param {Object} options - Opções da IA {model} (opcional)
    * @returns {Promise<Object>} - Resultado do processamento
    */
-  async processIncomingMessage(message) {
+  async handleIncomingMessage(message, options = {}) {
     try {
       const userId = message.from;
-      const messageText = message.text;
+      let messageText = message.text;
+      
+      if (message.type === 'location') {
+        console.log(`📥 Processando localização de ${userId}: ${message.location.latitude}, ${message.location.longitude}`);
+      } else if (message.media) {
+        console.log(`📥 Processando ${message.type} de ${userId}: ${message.media.id}`);
+      } else {
+        console.log(`📥 Processando mensagem de ${userId}: "${messageText}"`);
+      }
       
-      console.log(`📥 Processando mensagem de ${userId}: "${messageText}"`);
+      // Conversas em atendimento humano não são respondidas pela IA: as mensagens ficam para os atendentes
+      if (this.isHumanMode(userId)) {
+        return await this.storeHandoffMessage(userId, message, options);
+      }
       
       // Verificar se é a primeira mensagem do usuário
       const history = this.getConversationHistory(userId);
@@ -124,43 +486,139 @@ Instruções: Utilize essas informações para fornecer dados precisos e relevan
         await new Promise(resolve => setTimeout(resolve, 1000));
       }
       
-      // Adicionar mensagem do usuário ao histórico
+      // Mensagens de localização são respondidas com base nos contextos próximos
+      if (message.type === 'location') {
+        return await this.processLocationMessage(userId, message.location);
+      }
+      
+      // Local escolhido em uma lista interativa; as demais respostas interativas seguem como texto
+      if (message.interactive?.id?.startsWith(CONTEXT_SELECTION_PREFIX)) {
+        return await this.processContextSelection(userId, message.interactive.id.slice(CONTEXT_SELECTION_PREFIX.length));
+      }
+      
+      // Indica que o texto veio da transcrição de um áudio
+      let transcribed = false;
+      
+      // Mídias são armazenadas; sem legenda, o recebimento é confirmado sem consultar a IA
+      if (message.media) {
+        const { description, record } = await this.storeIncomingMedia(userId, message);
+        
+        if (message.type === 'audio' && record) {
+          const transcript = await this.transcribeIncomingAudio(userId, record);
+          
+          if (transcript) {
+            messageText = transcript;
+            transcribed = true;
+          }
+        }
+        
+        if (!transcribed && !message.media.caption) {
+          return await this.acknowledgeMedia(userId, message, description);
+        }
+        
+        // Com legenda, a IA responde à legenda sabendo que há um anexo
+        if (!transcribed) {
+          messageText = `[Enviei ${description}] ${message.media.caption}`;
+        }
+      }
+      
+      // Adicionar mensagem do usuário ao histórico (transcrições são marcadas com a origem)
       this.addToConversationHistory(userId, {
         role: 'user',
-        content: messageText
+        content: messageText,
+        ...(transcribed && { source: 'audio', mediaId: message.media.id })
       });
       
+      // Frases de gatilho encaminham a conversa para um atendente sem consultar a IA
+      if (this.matchesHandoffTrigger(messageText)) {
+        console.log(`👤 Frase de gatilho recebida de ${userId}, encaminhando para atendimento humano`);
+        
+        return await this.startHandoff(userId, {
+          requestedBy: 'user',
+          reason: 'Pedido de atendimento humano',
+          message: this.buildHandoffEntry(message, messageText),
+          notice: this.handoffMessage
+        });
+      }
+      
       // Obter resposta da IA
-      const aiResponse = await groqService.getCompletion(messageText, history);
+      const aiResponse = await this.generateReply(messageText, history, { model: options.model, userId });
+      
+      // Groq fora do ar: envia a mensagem padrão sem tentar novamente
+      if (aiResponse.circuitOpen) {
+        console.warn(`⚠️ Groq indisponível, enviando resposta padrão para ${userId}`);
+        const result = await outboxService.sendText(
+          userId,
+          aiResponse.message,
+          this.defaultTemplate
+        );
+        
+        return {
+          success: result.success || result.queued,
+          message: 'Groq indisponível, resposta padrão enviada',
+          error: aiResponse.error
+        };
+      }
       
       if (!aiResponse.success) {
         throw new Error(`Falha ao obter resposta da IA: ${aiResponse.error}`);
       }
       
-      console.log(`🤖 Resposta da IA: "${aiResponse.message}"`);
+      console.log(`🤖 Resposta da IA (${aiResponse.model}): "${aiResponse.message}"`);
       
       // Adicionar resposta da IA ao histórico
       this.addToConversationHistory(userId, aiResponse.aiMessage);
       
-      // Enviar resposta para o WhatsApp com fallback para template
-      const result = await whatsappService.sendMessageWithFallback(
+      // Enviar resposta para o WhatsApp (formatada e dividida em partes) com fallback para template
+      // O envio passa pela fila persistente, para que a resposta não se perca em caso de falha
+      const result = await outboxService.sendFormatted(
         userId, 
         aiResponse.message,
         this.defaultTemplate
       );
       
-      if (!result.success) {
-        throw new Error(`Falha ao enviar mensagem para o WhatsApp: ${result.error}`);
+      this.assertDelivered(result);
+      
+      // Resposta sobre um local do catálogo: envia também a foto e o pin do local
+      if (aiResponse.contextId && !aiResponse.handoff) {
+        await this.sendFeaturedContextMedia(userId, aiResponse.contextId);
+      }
+      
+      // A IA identificou que o caso precisa de um atendente (a resposta enviada já avisa o usuário)
+      if (aiResponse.handoff) {
+        console.log(`👤 IA encaminhou ${userId} para atendimento humano: ${aiResponse.handoff.reason}`);
+        
+        await this.startHandoff(userId, {
+          requestedBy: 'ai',
+          reason: aiResponse.handoff.reason,
+          message: this.buildHandoffEntry(message, messageText)
+        });
       }
       
       return {
         success: true,
-        message: 'Mensagem processada e resposta enviada com sucesso',
-        aiResponse: aiResponse.message
+        message: result.queued
+          ? 'Mensagem processada; resposta aguardando reenvio na fila'
+          : 'Mensagem processada e resposta enviada com sucesso',
+        jobId: result.jobId,
+        ...(aiResponse.handoff && { handoff: true }),
+        aiResponse: aiResponse.message,
+        model: aiResponse.model,
+        usage: aiResponse.usage,
+        ...(transcribed && { transcript: messageText })
       };
     } catch (error) {
       console.error('Erro ao processar mensagem:', error);
       
+      // Se o próprio envio falhou, a resposta já está na fila de falhas e outra mensagem também falharia
+      if (error.deliveryFailed) {
+        return {
+          success: false,
+          error: error.message,
+          jobId: error.jobId
+        };
+      }
+      
       // Tentar enviar mensagem de erro para o usuário
       try {
         await whatsappService.sendMessageWithFallback(
@@ -179,6 +637,483 @@ Instruções: Utilize essas informações para fornecer dados precisos e relevan
     }
   }
 
+  /**
+   * Gera a resposta da IA executando as ferramentas solicitadas pelo modelo
+   * até obter a resposta final
+   * @param {string} messageText - Mensagem do usuário
+   * @param {Array} history - Histórico da conversa (sem a mensagem atual)
+   * @param {Object} options - Opções da IA {model, userId}
+   * @returns {Promise<Object>} - Resposta no mesmo formato de groqService.getCompletion, acrescida de
+   * contextId (local do catálogo de que a resposta trata, se houver) e handoff (pedido de atendimento humano)
+   */
+  async generateReply(messageText, history, options = {}) {
+    const { userId, ...completionOptions } = options;
+    
+    // Local consultado pela IA com get_context_details e contextos recuperados para a pergunta,
+    // usados para identificar o local de que a resposta trata
+    let consultedId = null;
+    let retrievedIds = [];
+    
+    // Injetar os contextos do catálogo mais relevantes para a pergunta
+    const baseHistory = [...history];
+    if (config.retrieval.enabled) {
+      const retrieval = retrievalService.buildRetrievalMessage(messageText);
+      
+      if (retrieval) {
+        console.log(`🔎 Contextos recuperados para ${userId || 'requisição'}: ${retrieval.scores.map(r => `${r.id} (${r.score})`).join(', ')}`);
+        baseHistory.push(retrieval.message);
+        retrievedIds = retrieval.ids;
+      }
+    }
+    
+    if (!config.groq.toolsEnabled) {
+      const aiResponse = await groqService.getCompletion(messageText, baseHistory, completionOptions);
+      return { ...aiResponse, contextId: this.findReplyContextId(aiResponse.message, consultedId, retrievedIds) };
+    }
+    
+    const tools = toolService.getToolDefinitions();
+    const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+    
+    // Pedido de encaminhamento para um atendente feito pela IA (ferramenta request_human_agent)
+    let handoff = null;
+    
+    // Mensagens intermediárias (chamadas e resultados de ferramentas) não são salvas no histórico
+    const workingHistory = [...baseHistory, { role: 'user', content: messageText }];
+    
+    for (let iteration = 0; iteration <= this.maxToolIterations; iteration++) {
+      // Na última iteração, obriga o modelo a responder sem novas chamadas de ferramentas
+      const toolChoice = iteration === this.maxToolIterations ? 'none' : 'auto';
+      
+      const aiResponse = await groqService.getCompletion(null, workingHistory, { ...completionOptions, tools, toolChoice });
+      
+      if (!aiResponse.success) {
+        return aiResponse;
+      }
+      
+      for (const key of Object.keys(usage)) {
+        usage[key] += aiResponse.usage?.[key] || 0;
+      }
+      
+      if (aiResponse.toolCalls.length === 0) {
+        const contextId = this.findReplyContextId(aiResponse.message, consultedId, retrievedIds);
+        return { ...aiResponse, usage, contextId, ...(handoff && { handoff }) };
+      }
+      
+      console.log(`🛠️ IA solicitou ${aiResponse.toolCalls.length} ferramenta(s) (iteração ${iteration + 1})`);
+      
+      workingHistory.push(aiResponse.aiMessage);
+      for (const toolCall of aiResponse.toolCalls) {
+        const toolResult = toolService.executeToolCall(toolCall);
+        workingHistory.push(toolResult);
+        
+        if (toolCall.function?.name === 'request_human_agent') {
+          handoff = { reason: JSON.parse(toolResult.content).reason || 'Encaminhado pela IA' };
+        }
+        
+        if (toolCall.function?.name === 'get_context_details') {
+          const details = JSON.parse(toolResult.content);
+          if (details.id && !details.error) consultedId = details.id;
+        }
+      }
+    }
+    
+    return {
+      success: false,
+      error: `Limite de ${this.maxToolIterations} iterações de ferramentas atingido sem resposta final`,
+      message: 'Desculpe, ocorreu um erro ao processar sua solicitação.'
+    };
+  }
+
+  /**
+   * Identifica o local do catálogo de que a resposta trata: o consultado pela IA com get_context_details
+   * ou, na falta dele, o primeiro contexto recuperado cujo nome aparece na resposta. Uma recuperação
+   * sem menção ao local não basta, pois perguntas genéricas também recuperam contextos
+   * @param {string} replyText - Resposta da IA
+   * @param {string|null} consultedId - ID do contexto consultado com get_context_details
+   * @param {Array<string>} retrievedIds - IDs dos contextos recuperados, do mais ao menos relevante
+   * @returns {string|null} - ID do contexto ou null
+   */
+  findReplyContextId(replyText, consultedId, retrievedIds) {
+    if (consultedId) return consultedId;
+    
+    const normalizedReply = contextService.normalizeText(replyText || '');
+    
+    return retrievedIds.find(id => {
+      const context = contextService.getContext(id);
+      return context?.name && normalizedReply.includes(contextService.normalizeText(context.name));
+    }) || null;
+  }
+
+  /**
+   * Verifica o resultado de um envio pela fila, lançando um erro se ele foi para a fila de falhas
+   * Envios aguardando nova tentativa são considerados entregues
+   * @param {Object} result - Resultado do OutboxService
+   */
+  assertDelivered(result) {
+    if (result.success || result.queued) return;
+    
+    const error = new Error(`Falha ao enviar mensagem para o WhatsApp: ${JSON.stringify(result.error)}`);
+    error.deliveryFailed = true;
+    error.jobId = result.jobId;
+    throw error;
+  }
+
+  /**
+   * Baixa e armazena a mídia recebida
+   * @param {string} userId - ID do usuário (número de telefone)
+   * @param {Object} message - Mensagem normalizada com o campo media
+   * @returns {Promise<Object>} - {description, record} (record é null se o download falhou)
+   */
+  async storeIncomingMedia(userId, message) {
+    // Mídias já armazenadas (ex.: conversa devolvida para a IA durante o recebimento) não são baixadas de novo
+    const existing = mediaService.getMedia(message.media.id);
+    const stored = existing
+      ? { success: true, record: existing }
+      : await mediaService.storeMedia(userId, message.type, message.media);
+    
+    if (!stored.success) {
+      console.error(`Não foi possível armazenar a mídia ${message.media.id} de ${userId}:`, stored.error);
+    }
+    
+    const record = stored.success ? stored.record : null;
+    
+    return {
+      description: mediaService.describeMedia(message.type, message.media, record),
+      record
+    };
+  }
+
+  /**
+   * Transcreve um áudio armazenado
+   * @param {string} userId - ID do usuário (número de telefone)
+   * @param {Object} record - Registro da mídia armazenada
+   * @returns {Promise<string|null>} - Texto transcrito ou null se a transcrição falhar
+   */
+  async transcribeIncomingAudio(userId, record) {
+    if (!this.audioTranscription) return null;
+    
+    const transcription = await groqService.transcribeAudio(mediaService.readMedia(record), {
+      filename: path.basename(record.filePath),
+      mimeType: record.mimeType
+    });
+    
+    if (!transcription.success) {
+      console.error(`Não foi possível transcrever o áudio ${record.id} de ${userId}:`, transcription.error);
+      return null;
+    }
+    
+    console.log(`🎙️ Áudio ${record.id} de ${userId} transcrito: "${transcription.text}"`);
+    return transcription.text;
+  }
+
+  /**
+   * Confirma o recebimento de uma mídia sem legenda, descrevendo o que foi recebido
+   * @param {string} userId - ID do usuário (número de telefone)
+   * @param {Object} message - Mensagem normalizada com o campo media
+   * @param {string} description - Descrição da mídia
+   * @returns {Promise<Object>} - Resultado do processamento
+   */
+  async acknowledgeMedia(userId, message, description) {
+    const { possessive, emoji } = mediaService.getLabel(message.type);
+    
+    this.addToConversationHistory(userId, {
+      role: 'user',
+      content: `[Enviei ${description}]`
+    });
+    
+    let replyText;
+    
+    if (message.type === 'sticker') {
+      replyText = `${emoji} Recebi ${possessive} figurinha!`;
+    } else if (message.type === 'audio') {
+      replyText = `${emoji} Recebi ${possessive} áudio, mas não consegui entendê-lo. Pode me enviar sua pergunta por texto?`;
+    } else {
+      replyText = `${emoji} Recebi ${possessive} ${description} e registrei aqui.\n\nAinda não consigo ver o conteúdo de anexos. Se quiser, me conte por texto o que ele mostra e onde você está, que eu te ajudo com as informações da cidade.`;
+    }
+    
+    this.addToConversationHistory(userId, {
+      role: 'assistant',
+      content: replyText
+    });
+    
+    const result = await outboxService.sendText(
+      userId,
+      replyText,
+      this.defaultTemplate
+    );
+    
+    this.assertDelivered(result);
+    
+    return {
+      success: true,
+      message: 'Mídia recebida e confirmada com sucesso',
+      mediaId: message.media.id
+    };
+  }
+
+  /**
+   * Processa uma localização compartilhada pelo usuário
+   * Busca os contextos próximos, aplica o mais próximo à conversa e responde descrevendo o local
+   * @param {string} userId - ID do usuário (número de telefone)
+   * @param {Object} location - Localização {latitude, longitude, name, address}
+   * @returns {Promise<Object>} - Resultado do processamento
+   */
+  async processLocationMessage(userId, location) {
+    const { latitude, longitude, name, address } = location;
+    
+    if (Number.isNaN(latitude) || Number.isNaN(longitude)) {
+      throw new Error('Localização recebida sem coordenadas válidas');
+    }
+    
+    // Registrar a localização no histórico para que a IA saiba onde o usuário está
+    const placeLabel = [name, address].filter(Boolean).join(' - ');
+    this.addToConversationHistory(userId, {
+      role: 'user',
+      content: `Compartilhei minha localização${placeLabel ? ` (${placeLabel})` : ''}: ${latitude}, ${longitude}`
+    });
+    
+    // Atualizar a última localização conhecida sem notificação proativa, pois a resposta já descreve o local
+    await geofenceService.updateUserLocation(userId, { latitude, longitude }, { notify: false });
+    
+    const nearbyContexts = contextService.findContextsByLocation(
+      { latitude, longitude },
+      config.location.searchRadius
+    );
+    
+    let replyText;
+    
+    if (nearbyContexts.length === 0) {
+      console.log(`📍 Nenhum contexto encontrado próximo a ${latitude}, ${longitude}`);
+      replyText = 'Não encontrei pontos de interesse cadastrados perto da sua localização. 🗺️\n\nDigite o nome do local sobre o qual deseja obter informações e eu te ajudo!';
+    } else {
+      const [nearest, ...others] = nearbyContexts;
+      console.log(`📍 Contexto mais próximo de ${userId}: ${nearest.id} (${nearest.distance} m)`);
+      
+      // Injetar o contexto do local mais próximo na conversa
+      this.addSystemContext(userId, nearest);
+      
+      replyText = contextService.buildContextSummary(nearest);
+      replyText += '\n\n💬 Pergunte o que quiser sobre este local!';
+    }
+    
+    this.addToConversationHistory(userId, {
+      role: 'assistant',
+      content: replyText
+    });
+    
+    const result = await outboxService.sendText(
+      userId,
+      replyText,
+      this.defaultTemplate
+    );
+    
+    this.assertDelivered(result);
+    
+    // O usuário já está no local: envia apenas a foto, sem o pin
+    if (nearbyContexts.length > 0) {
+      await this.sendContextMedia(userId, nearbyContexts[0], { pin: false });
+    }
+    
+    // Os demais locais próximos são oferecidos em uma lista interativa
+    if (nearbyContexts.length > 1) {
+      await this.sendNearbyContextsList(userId, nearbyContexts.slice(1));
+    }
+    
+    return {
+      success: true,
+      message: 'Localização processada e resposta enviada com sucesso',
+      contextId: nearbyContexts[0]?.id || null
+    };
+  }
+
+  /**
+   * Envia a foto (imageUrl) e o pin de localização de um contexto, quando disponíveis
+   * Falhas são apenas registradas, pois a descrição do local já foi enviada em texto
+   * @param {string} userId - ID do usuário (número de telefone)
+   * @param {Object} context - Dados do contexto
+   * @param {Object} options - Opções do envio
+   * @param {boolean} options.pin - Se deve enviar o pin de localização (padrão: true)
+   */
+  async sendContextMedia(userId, context, { pin = true } = {}) {
+    if (context.id) {
+      this.featuredContexts.set(userId, { contextId: context.id, at: Date.now() });
+    }
+    
+    if (context.imageUrl) {
+      const image = await whatsappService.sendImageMessage(userId, {
+        link: context.imageUrl,
+        caption: context.name
+      });
+      
+      if (!image.success) {
+        console.warn(`Não foi possível enviar a foto de ${context.name} para ${userId}`);
+      }
+    }
+    
+    if (pin && context.location) {
+      const location = await whatsappService.sendLocationMessage(userId, {
+        ...context.location,
+        name: context.name
+      });
+      
+      if (!location.success) {
+        console.warn(`Não foi possível enviar a localização de ${context.name} para ${userId}`);
+      }
+    }
+  }
+
+  /**
+   * Envia a foto e o pin do local de que uma resposta da IA trata, exceto se o mesmo local
+   * já tiver sido enviado ao usuário recentemente (dentro do TTL do histórico)
+   * @param {string} userId - ID do usuário (número de telefone)
+   * @param {string} contextId - ID do contexto
+   */
+  async sendFeaturedContextMedia(userId, contextId) {
+    const context = contextService.getContext(contextId);
+    if (!context || (!context.imageUrl && !context.location)) return;
+    
+    const featured = this.featuredContexts.get(userId);
+    const window = (this.historyTTL || 3600) * 1000;
+    
+    if (featured?.contextId === contextId && Date.now() - featured.at < window) return;
+    
+    await this.sendContextMedia(userId, { id: contextId, ...context });
+  }
+
+  /**
+   * Oferece uma lista interativa de locais próximos ("Marco Zero – 120 m")
+   * Se a lista não puder ser enviada, os locais são enviados como texto
+   * @param {string} userId - ID do usuário (número de telefone)
+   * @param {Array} contexts - Contextos próximos com o campo distance, do mais próximo ao mais distante
+   * @returns {Promise<Object>} - Resultado do envio
+   */
+  async sendNearbyContextsList(userId, contexts) {
+    const listed = contexts.slice(0, 10);
+    const bodyText = '🧭 Há outros locais perto de você. Toque no botão abaixo e escolha um para saber mais.';
+    
+    const rows = listed.map(context => {
+      const suffix = ` – ${context.distance} m`;
+      const maxName = 24 - suffix.length;
+      const name = context.name.length > maxName ? `${context.name.slice(0, maxName - 1)}…` : context.name;
+      
+      return {
+        id: `${CONTEXT_SELECTION_PREFIX}${context.id}`,
+        title: `${name}${suffix}`,
+        description: context.description
+      };
+    });
+    
+    const lines = listed.map(context => `• ${context.name} (${context.distance} m)`);
+    const textVersion = `🧭 *Outros locais próximos:*\n${lines.join('\n')}`;
+    
+    this.addToConversationHistory(userId, {
+      role: 'assistant',
+      content: textVersion
+    });
+    
+    const result = await whatsappService.sendInteractiveList(
+      userId,
+      bodyText,
+      'Ver locais',
+      [{ title: 'Locais próximos', rows }]
+    );
+    
+    if (result.success) return result;
+    
+    console.warn(`Não foi possível enviar a lista de locais para ${userId}, enviando como texto`);
+    return outboxService.sendText(userId, textVersion, this.defaultTemplate);
+  }
+
+  /**
+   * Responde à escolha de um local em uma lista interativa
+   * @param {string} userId - ID do usuário (número de telefone)
+   * @param {string} contextId - ID do contexto escolhido
+   * @returns {Promise<Object>} - Resultado do processamento
+   */
+  async processContextSelection(userId, contextId) {
+    const context = contextService.getContext(contextId);
+    
+    this.addToConversationHistory(userId, {
+      role: 'user',
+      content: `Escolhi o local: ${context ? context.name : contextId}`
+    });
+    
+    let replyText;
+    
+    if (!context) {
+      replyText = 'Esse local não está mais disponível. 🗺️\n\nCompartilhe sua localização novamente ou digite o nome do local que procura.';
+    } else {
+      console.log(`👆 ${userId} escolheu o contexto ${contextId}`);
+      this.addSystemContext(userId, context);
+      replyText = `${contextService.buildContextSummary(context)}\n\n💬 Pergunte o que quiser sobre este local!`;
+    }
+    
+    this.addToConversationHistory(userId, {
+      role: 'assistant',
+      content: replyText
+    });
+    
+    const result = await outboxService.sendText(
+      userId,
+      replyText,
+      this.defaultTemplate
+    );
+    
+    this.assertDelivered(result);
+    
+    if (context) {
+      await this.sendContextMedia(userId, { id: contextId, ...context });
+    }
+    
+    return {
+      success: true,
+      message: 'Escolha de local processada e resposta enviada com sucesso',
+      contextId: context ? contextId : null
+    };
+  }
+
+  /**
+   * Atualiza a última localização conhecida do usuário e, ao entrar em uma área de ativação,
+   * registra na conversa o contexto notificado proativamente
+   * @param {string} userId - ID do usuário (número de telefone)
+   * @param {Object} location - Coordenadas {latitude, longitude}
+   * @returns {Promise<Object>} - Transições detectadas {entered, exited, notified}
+   */
+  updateUserLocation(userId, location) {
+    // Passa pela fila do usuário para não intercalar a notificação com uma resposta em andamento
+    return this.runInUserQueue(userId, () => this.applyLocationUpdate(userId, location));
+  }
+
+  /**
+   * Aplica a atualização de localização (executada dentro da fila do usuário)
+   * @param {string} userId - ID do usuário (número de telefone)
+   * @param {Object} location - Coordenadas {latitude, longitude}
+   * @returns {Promise<Object>} - Transições detectadas {entered, exited, notified}
+   */
+  async applyLocationUpdate(userId, location) {
+    // Em atendimento humano, a posição é atualizada sem notificações automáticas
+    const transitions = await geofenceService.updateUserLocation(userId, location, { notify: !this.isHumanMode(userId) });
+    
+    if (transitions.notified) {
+      const context = contextService.getContext(transitions.notified);
+      
+      if (context) {
+        this.addSystemContext(userId, context);
+      }
+      
+      this.addToConversationHistory(userId, {
+        role: 'assistant',
+        content: transitions.notification
+      });
+    }
+    
+    return {
+      entered: transitions.entered,
+      exited: transitions.exited,
+      notified: transitions.notified
+    };
+  }
+
   /**
    * Envia uma mensagem de boas-vindas para um novo usuário
    * @param {string} userId - ID do usuário (número de telefone)
@@ -186,13 +1121,13 @@ Instruções: Utilize essas informações para fornecer dados precisos e relevan
   async sendWelcomeMessage(userId) {
     try {
       // Tenta enviar como mensagem normal com fallback para template
-      const result = await whatsappService.sendMessageWithFallback(
+      const result = await outboxService.sendText(
         userId, 
         this.welcomeMessage,
         this.defaultTemplate
       );
       
-      if (result.success) {
+      if (result.success || result.queued) {
         // Adicionar mensagem ao histórico
         this.addToConversationHistory(userId, {
           role: 'assistant',
@@ -216,7 +1151,254 @@ Instruções: Utilize essas informações para fornecer dados precisos e relevan
    * @returns {boolean} - Indica se a operação foi bem-sucedida
    */
   clearConversationHistory(userId) {
-    return this.conversationCache.del(userId);
+    return this.historyStore.delete(userId);
+  }
+
+  /**
+   * Obtém o modo de atendimento de uma conversa
+   * @param {string} userId - ID do usuário (número de telefone)
+   * @returns {string} - 'human' (atendente) ou 'bot' (IA)
+   */
+  getConversationMode(userId) {
+    return this.handoffStore.has(userId) ? 'human' : 'bot';
+  }
+
+  /**
+   * Verifica se a conversa está em atendimento humano
+   * @param {string} userId - ID do usuário (número de telefone)
+   * @returns {boolean} - Se a conversa está no modo 'human'
+   */
+  isHumanMode(userId) {
+    return this.getConversationMode(userId) === 'human';
+  }
+
+  /**
+   * Verifica se um texto contém uma das frases que pedem atendimento humano
+   * @param {string} text - Mensagem do usuário
+   * @returns {boolean} - Se a conversa deve ser encaminhada
+   */
+  matchesHandoffTrigger(text) {
+    if (!this.handoffEnabled || !text) return false;
+    
+    const normalized = contextService.normalizeText(text);
+    return this.handoffTriggers.some(trigger => normalized.includes(trigger));
+  }
+
+  /**
+   * Monta o registro de uma mensagem recebida para os atendentes
+   * @param {Object} message - Mensagem normalizada
+   * @param {string} text - Texto da mensagem (digitado, transcrito ou legenda)
+   * @returns {Object} - {id, type, text, mediaId, location, receivedAt}
+   */
+  buildHandoffEntry(message, text) {
+    return {
+      id: message.id,
+      type: message.type,
+      text: text || null,
+      ...(message.media && { mediaId: message.media.id }),
+      ...(message.location && { location: message.location }),
+      receivedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Coloca uma conversa em atendimento humano (ou atualiza o atendimento em andamento)
+   * @param {string} userId - ID do usuário (número de telefone)
+   * @param {Object} options - {requestedBy: 'user'|'ai'|'agent', reason, agent, message: mensagem recebida, notice: aviso ao usuário}
+   * @returns {Promise<Object>} - {success, mode, handoff}
+   */
+  async startHandoff(userId, { requestedBy, reason = null, agent = null, message = null, notice = null } = {}) {
+    const now = new Date().toISOString();
+    const handoff = this.handoffStore.get(userId) || {
+      userId,
+      mode: 'human',
+      requestedBy,
+      reason,
+      agent: null,
+      since: now,
+      lastReplyAt: null,
+      messages: []
+    };
+    
+    if (agent) handoff.agent = agent;
+    if (reason && !handoff.reason) handoff.reason = reason;
+    if (message) handoff.messages.push(message);
+    
+    handoff.messages = handoff.messages.slice(-this.handoffMaxMessages);
+    handoff.updatedAt = now;
+    this.handoffStore.set(userId, handoff);
+    
+    // Mensagens aguardando agrupamento seguem para a fila e serão guardadas para os atendentes
+    this.flushPendingMessages(userId);
+    
+    let notified = false;
+    
+    if (notice) {
+      const result = await outboxService.sendText(userId, notice, this.defaultTemplate);
+      notified = result.success || result.queued;
+      
+      if (notified) {
+        this.addToConversationHistory(userId, { role: 'assistant', content: notice });
+      }
+    }
+    
+    return {
+      success: true,
+      mode: 'human',
+      message: 'Conversa encaminhada para atendimento humano',
+      notified,
+      handoff
+    };
+  }
+
+  /**
+   * Guarda uma mensagem recebida durante o atendimento humano, sem resposta da IA
+   * Mídias são armazenadas (e áudios transcritos) para que os atendentes possam consultá-las
+   * Se a conversa for devolvida para a IA enquanto a mídia é baixada ou transcrita, a mensagem é
+   * respondida normalmente pela IA
+   * @param {string} userId - ID do usuário (número de telefone)
+   * @param {Object} message - Mensagem normalizada
+   * @param {Object} options - Opções da IA {model} (opcional)
+   * @returns {Promise<Object>} - Resultado do processamento
+   */
+  async storeHandoffMessage(userId, message, options = {}) {
+    let text = message.text;
+    let content = text;
+    
+    if (message.media) {
+      const { description, record } = await this.storeIncomingMedia(userId, message);
+      const transcript = message.type === 'audio' && record
+        ? await this.transcribeIncomingAudio(userId, record)
+        : null;
+      
+      text = transcript || message.media.caption || null;
+      content = transcript || `[Enviei ${description}]${message.media.caption ? ` ${message.media.caption}` : ''}`;
+    } else if (message.type === 'location') {
+      content = `[Compartilhei minha localização: ${message.location.latitude}, ${message.location.longitude}]`;
+    }
+    
+    const handoff = this.handoffStore.get(userId);
+    
+    if (!handoff) {
+      console.log(`👤 Conversa de ${userId} devolvida para a IA durante o recebimento, respondendo normalmente`);
+      return this.handleIncomingMessage(message, options);
+    }
+    
+    if (content) {
+      this.addToConversationHistory(userId, { role: 'user', content });
+    }
+    
+    handoff.messages.push(this.buildHandoffEntry(message, text));
+    handoff.messages = handoff.messages.slice(-this.handoffMaxMessages);
+    handoff.updatedAt = new Date().toISOString();
+    this.handoffStore.set(userId, handoff);
+    
+    console.log(`👤 Mensagem de ${userId} guardada para o atendimento humano (${handoff.messages.length} aguardando)`);
+    
+    return {
+      success: true,
+      mode: 'human',
+      message: 'Conversa em atendimento humano; mensagem guardada para os atendentes'
+    };
+  }
+
+  /**
+   * Registra no histórico uma mensagem enviada por um atendente
+   * @param {string} userId - ID do usuário (número de telefone)
+   * @param {string} text - Mensagem enviada
+   * @param {string} agent - Nome do atendente (nome da chave de API)
+   */
+  recordAgentMessage(userId, text, agent) {
+    this.addToConversationHistory(userId, {
+      role: 'assistant',
+      content: text,
+      source: 'agent',
+      agent
+    });
+    
+    const handoff = this.handoffStore.get(userId);
+    
+    if (handoff) {
+      handoff.agent = handoff.agent || agent;
+      handoff.lastReplyAt = new Date().toISOString();
+      handoff.updatedAt = handoff.lastReplyAt;
+      this.handoffStore.set(userId, handoff);
+    }
+  }
+
+  /**
+   * Assume uma conversa pela API de atendentes, interrompendo as respostas da IA
+   * @param {string} userId - ID do usuário (número de telefone)
+   * @param {Object} options - {agent: nome do atendente, reason, notify: avisa o usuário (padrão: true)}
+   * @returns {Promise<Object>} - {success, mode, notified, handoff}
+   */
+  async takeoverConversation(userId, { agent, reason = null, notify = true } = {}) {
+    console.log(`👤 Conversa de ${userId} assumida por ${agent}`);
+    
+    return this.startHandoff(userId, {
+      requestedBy: 'agent',
+      reason,
+      agent,
+      notice: notify ? this.takeoverMessage : null
+    });
+  }
+
+  /**
+   * Encerra o atendimento humano e devolve a conversa para a IA
+   * @param {string} userId - ID do usuário (número de telefone)
+   * @param {Object} options - {notify: avisa o usuário (padrão: true)}
+   * @returns {Promise<Object|null>} - {success, mode, notified, handoff} ou null se a conversa não estava em atendimento humano
+   */
+  async releaseConversation(userId, { notify = true } = {}) {
+    const handoff = this.handoffStore.get(userId);
+    if (!handoff) return null;
+    
+    this.handoffStore.delete(userId);
+    console.log(`🤖 Conversa de ${userId} devolvida para a IA`);
+    
+    let notified = false;
+    
+    if (notify) {
+      const result = await outboxService.sendText(userId, this.releaseMessage, this.defaultTemplate);
+      notified = result.success || result.queued;
+      
+      if (notified) {
+        this.addToConversationHistory(userId, { role: 'assistant', content: this.releaseMessage });
+      }
+    }
+    
+    return {
+      success: true,
+      mode: 'bot',
+      message: 'Conversa devolvida para a IA',
+      notified,
+      handoff
+    };
+  }
+
+  /**
+   * Lista as conversas em atendimento humano, das mais antigas para as mais recentes
+   * @returns {Array} - Resumos {userId, requestedBy, reason, agent, since, updatedAt, lastReplyAt, messageCount, lastMessageAt}
+   */
+  listHandoffs() {
+    return this.handoffStore.keys()
+      .map(userId => this.handoffStore.get(userId))
+      .filter(Boolean)
+      .map(({ messages, ...handoff }) => ({
+        ...handoff,
+        messageCount: messages.length,
+        lastMessageAt: messages.length > 0 ? messages[messages.length - 1].receivedAt : null
+      }))
+      .sort((a, b) => Date.parse(a.since) - Date.parse(b.since));
+  }
+
+  /**
+   * Obtém o atendimento humano de uma conversa, com as mensagens recebidas
+   * @param {string} userId - ID do usuário (número de telefone)
+   * @returns {Object|null} - Registro do atendimento ou null se a conversa está com a IA
+   */
+  getHandoff(userId) {
+    return this.handoffStore.get(userId) || null;
   }
 }
 
@@ -0,0 +1,48 @@
+const NodeCache = require('node-cache');
+const config = require('../config');
+
+/**
+ * Serviço de deduplicação de mensagens recebidas pelo webhook
+ * A Meta reenvia entregas do webhook, então cada message.id é registrado
+ * por uma janela de tempo para que reentregas não sejam processadas novamente
+ */
+class DeduplicationService {
+  constructor() {
+    // IDs de mensagens já recebidas (TTL configurável, padrão: 24 horas)
+    this.seenMessages = new NodeCache({ stdTTL: config.whatsapp.dedupTTL, checkperiod: 600 });
+    
+    // Contador de mensagens duplicadas descartadas desde o início do processo
+    this.duplicatesDropped = 0;
+  }
+
+  /**
+   * Registra o ID de uma mensagem e informa se ela já havia sido recebida
+   * @param {string} messageId - ID da mensagem do WhatsApp (message.id)
+   * @returns {boolean} - true se a mensagem é uma duplicata
+   */
+  isDuplicate(messageId) {
+    // Mensagens sem ID não podem ser deduplicadas
+    if (!messageId) return false;
+    
+    if (this.seenMessages.has(messageId)) {
+      this.duplicatesDropped++;
+      return true;
+    }
+    
+    this.seenMessages.set(messageId, Date.now());
+    return false;
+  }
+
+  /**
+   * Obtém estatísticas da deduplicação
+   * @returns {Object} - {duplicatesDropped, trackedMessages}
+   */
+  getStats() {
+    return {
+      duplicatesDropped: this.duplicatesDropped,
+      trackedMessages: this.seenMessages.keys().length
+    };
+  }
+}
+
+module.exports = new DeduplicationService();
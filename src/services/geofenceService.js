@@ -0,0 +1,160 @@
+const NodeCache = require('node-cache');
+const contextService = require('./contextService');
+const whatsappService = require('./whatsappService');
+const config = require('../config');
+
+/**
+ * Serviço de geofencing sobre os raios de ativação dos contextos
+ * Acompanha a última localização conhecida de cada usuário, detecta entradas e
+ * saídas das áreas de ativação e envia notificações proativas
+ */
+class GeofenceService {
+  constructor() {
+    // Estado por usuário (TTL em segundos: 24 horas)
+    // { lastLocation, insideTriggers: [ids], lastNotifiedAt }
+    this.userStates = new NodeCache({ stdTTL: 86400, checkperiod: 3600 });
+
+    // Intervalo mínimo entre notificações para o mesmo usuário (em segundos)
+    this.cooldown = config.location.triggerCooldown;
+
+    // Template padrão para fallback
+    this.defaultTemplate = 'hello_world';
+  }
+
+  /**
+   * Obtém o estado de geofencing de um usuário
+   * @param {string} userId - ID do usuário (número de telefone)
+   * @returns {Object} - Estado atual do usuário
+   */
+  getUserState(userId) {
+    return this.userStates.get(userId) || {
+      lastLocation: null,
+      insideTriggers: [],
+      lastNotifiedAt: null
+    };
+  }
+
+  /**
+   * Verifica quais áreas de ativação contêm a localização informada
+   * @param {Object} location - Coordenadas {latitude, longitude}
+   * @returns {Array} - Triggers ativos {id, distance}, do mais próximo ao mais distante
+   */
+  findActiveTriggers(location) {
+    const activeTriggers = [];
+
+    for (const [id, trigger] of contextService.locationTriggers) {
+      const distance = contextService.calculateDistance(
+        location.latitude, location.longitude,
+        trigger.location.latitude, trigger.location.longitude
+      ) * 1000; // distância em metros
+
+      if (distance <= trigger.radius) {
+        activeTriggers.push({ id, distance: Math.round(distance) });
+      }
+    }
+
+    return activeTriggers.sort((a, b) => a.distance - b.distance);
+  }
+
+  /**
+   * Verifica se o usuário ainda está no período de espera entre notificações
+   * @param {Object} state - Estado do usuário
+   * @returns {boolean} - Se o usuário está em cooldown
+   */
+  isInCooldown(state) {
+    if (!state.lastNotifiedAt) return false;
+    return Date.now() - state.lastNotifiedAt < this.cooldown * 1000;
+  }
+
+  /**
+   * Atualiza a última localização conhecida de um usuário e dispara as notificações de entrada
+   * @param {string} userId - ID do usuário (número de telefone)
+   * @param {Object} location - Coordenadas {latitude, longitude}
+   * @param {Object} options - Opções {notify: envia notificação ao entrar em uma área (padrão: true)}
+   * @returns {Promise<Object>} - Transições detectadas {entered, exited, notified, notification}
+   */
+  async updateUserLocation(userId, location, { notify = true } = {}) {
+    const state = this.getUserState(userId);
+    const previousInside = new Set(state.insideTriggers);
+
+    const activeTriggers = this.findActiveTriggers(location);
+    const currentInside = new Set(activeTriggers.map(trigger => trigger.id));
+
+    const entered = activeTriggers.filter(trigger => !previousInside.has(trigger.id));
+    const exited = [...previousInside].filter(id => !currentInside.has(id));
+
+    if (entered.length > 0 || exited.length > 0) {
+      console.log(`🛰️ Geofence ${userId}: entrou em [${entered.map(t => t.id).join(', ')}], saiu de [${exited.join(', ')}]`);
+    }
+
+    let notified = null;
+    let notification = null;
+
+    if (entered.length > 0) {
+      if (!notify) {
+        // O usuário já recebeu as informações do local por outro canal
+        state.lastNotifiedAt = Date.now();
+      } else if (this.isInCooldown(state)) {
+        console.log(`⏳ Notificação para ${userId} ignorada (cooldown ativo)`);
+      } else {
+        // Notifica apenas a área mais próxima para não inundar o usuário
+        const nearest = entered[0];
+        const context = contextService.getContext(nearest.id);
+
+        if (context) {
+          const result = await this.sendTriggerNotification(userId, { id: nearest.id, ...context, distance: nearest.distance });
+
+          if (result.success) {
+            state.lastNotifiedAt = Date.now();
+            notified = nearest.id;
+            notification = result.text;
+          }
+        }
+      }
+    }
+
+    state.lastLocation = {
+      latitude: location.latitude,
+      longitude: location.longitude,
+      updatedAt: new Date().toISOString()
+    };
+    state.insideTriggers = [...currentInside];
+    this.userStates.set(userId, state);
+
+    return {
+      entered: entered.map(trigger => trigger.id),
+      exited,
+      notified,
+      notification
+    };
+  }
+
+  /**
+   * Envia a notificação proativa de chegada a um local
+   * @param {string} userId - ID do usuário (número de telefone)
+   * @param {Object} context - Contexto do local (com id e distância)
+   * @returns {Promise<Object>} - Resultado do envio
+   */
+  async sendTriggerNotification(userId, context) {
+    const text = `🔔 Você está perto de um ponto de interesse!\n\n${contextService.buildContextSummary(context)}`;
+
+    const result = await whatsappService.sendMessageWithFallback(userId, text, this.defaultTemplate);
+
+    if (!result.success) {
+      console.error(`Erro ao enviar notificação de geofence para ${userId}:`, result.error);
+    }
+
+    return { ...result, text };
+  }
+
+  /**
+   * Remove o estado de geofencing de um usuário
+   * @param {string} userId - ID do usuário
+   * @returns {boolean} - Indica se a operação foi bem-sucedida
+   */
+  clearUserState(userId) {
+    return this.userStates.del(userId) > 0;
+  }
+}
+
+module.exports = new GeofenceService();
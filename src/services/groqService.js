@@ -1,70 +1,172 @@
-const axios = require('axios');
 const config = require('../config');
+const ResilientHttpClient = require('../utils/resilientHttpClient');
+const ConcurrencyLimiter = require('../utils/concurrencyLimiter');
+const personaService = require('./personaService');
 
 class GroqService {
   constructor() {
     this.apiKey = config.groq.apiKey;
-    this.baseUrl = 'https://api.groq.com/openai/v1';
-    this.model = config.groq.model;
+    this.baseUrl = config.groq.baseUrl;
+    this.models = config.groq.models;
     this.maxTokens = config.groq.maxTokens;
     this.temperature = config.groq.temperature;
+    this.transcriptionModel = config.groq.transcriptionModel;
+    this.transcriptionLanguage = config.groq.transcriptionLanguage;
+    
+    // Limite global de chamadas simultâneas, para que nenhuma conversa esgote a cota das demais
+    // (aplicado a cada tentativa, para que esperas de backoff não ocupem vagas)
+    this.limiter = new ConcurrencyLimiter(config.groq.maxConcurrent);
+    
+    // Cliente HTTP com timeout, retry e circuit breaker das transcrições
+    // (completions e transcrições não têm efeitos colaterais e podem ser repetidas após um timeout)
+    this.http = this.createClient('Groq');
+    
+    // Clientes das completions, um por modelo, para que falhas de um modelo
+    // não abram o circuito dos demais
+    this.modelClients = new Map();
+    
+    // Resposta enviada ao usuário enquanto o Groq estiver indisponível
+    this.unavailableMessage = 'Nosso assistente está temporariamente indisponível. 🙏 Por favor, tente novamente em alguns minutos.';
+  }
+
+  /**
+   * Cria um cliente HTTP resiliente para o Groq
+   * @param {string} name - Nome exibido nos logs e no health check
+   * @returns {ResilientHttpClient} - Cliente
+   */
+  createClient(name) {
+    return new ResilientHttpClient(name, {
+      ...config.resilience,
+      timeout: config.groq.timeout,
+      limiter: this.limiter
+    });
+  }
+
+  /**
+   * Obtém o cliente HTTP (e o circuit breaker) de um modelo
+   * @param {string} model - Nome do modelo
+   * @returns {ResilientHttpClient} - Cliente do modelo
+   */
+  getModelClient(model) {
+    if (!this.modelClients.has(model)) {
+      this.modelClients.set(model, this.createClient(`Groq (${model})`));
+    }
+    
+    return this.modelClients.get(model);
+  }
+
+  /**
+   * Obtém o estado dos circuitos do Groq, para o health check
+   * @returns {Object} - {transcription, models: {modelo: estado}}
+   */
+  getCircuitState() {
+    const models = {};
+    
+    for (const model of this.models) {
+      models[model] = this.getModelClient(model).getState();
+    }
+    
+    return {
+      transcription: this.http.getState(),
+      models
+    };
+  }
+
+  /**
+   * Indica se o Groq está indisponível (circuitos de todos os modelos abertos)
+   * @returns {boolean} - Se nenhum modelo pode ser usado
+   */
+  isOpen() {
+    return this.models.every(model => this.getModelClient(model).isOpen());
   }
 
   /**
    * Obtém uma resposta da IA do Groq baseada na mensagem do usuário
    * @param {string} userMessage - Mensagem do usuário
    * @param {Array} conversationHistory - Histórico da conversa (opcional)
-   * @returns {Promise<Object>} - Objeto contendo a resposta da IA
+   * @param {Object} options - Opções da requisição
+   * @param {string} options.model - Modelo a ser usado preferencialmente (opcional)
+   * @param {boolean} options.fallback - Se deve tentar os demais modelos da lista em caso de falha (padrão: true)
+   * @param {Array} options.tools - Ferramentas disponíveis para o modelo (opcional)
+   * @param {string} options.toolChoice - Estratégia de uso das ferramentas (padrão: 'auto')
+   * @param {boolean} options.usePersona - Se deve incluir a persona base como primeira mensagem (padrão: true)
+   * @returns {Promise<Object>} - Objeto contendo a resposta da IA, o modelo utilizado e as chamadas de ferramentas
    */
-  async getCompletion(userMessage, conversationHistory = []) {
+  async getCompletion(userMessage, conversationHistory = [], options = {}) {
     try {
       // Preparar o histórico da conversa no formato esperado pela API
       const messages = [];
       
+      // A persona base sempre abre a conversa
+      if (options.usePersona !== false) {
+        messages.push({
+          role: 'system',
+          content: personaService.getPrompt()
+        });
+      }
+      
       // Adicionar histórico de conversa prévio
       for (const message of conversationHistory) {
-        messages.push({
+        const apiMessage = {
           role: message.role,
           content: message.content
-        });
+        };
+        
+        // Preservar os campos do protocolo de ferramentas
+        if (message.tool_calls) apiMessage.tool_calls = message.tool_calls;
+        if (message.tool_call_id) apiMessage.tool_call_id = message.tool_call_id;
+        
+        messages.push(apiMessage);
       }
       
-      // Adicionar a mensagem atual do usuário
-      messages.push({
-        role: 'user',
-        content: userMessage
-      });
-
-      // Chamar a API do Groq
-      const response = await axios({
-        method: 'POST',
-        url: `${this.baseUrl}/chat/completions`,
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        data: {
-          model: this.model,
-          messages,
-          max_tokens: this.maxTokens,
-          temperature: this.temperature
-        }
-      });
+      // Adicionar a mensagem atual do usuário (ausente ao continuar após resultados de ferramentas)
+      if (userMessage !== null) {
+        messages.push({
+          role: 'user',
+          content: userMessage
+        });
+      }
 
-      const aiResponse = response.data.choices[0]?.message?.content || 'Desculpe, não consegui gerar uma resposta.';
+      const response = await this.requestWithFallback(messages, options);
+
+      const choiceMessage = response.data.choices[0]?.message || {};
+      const toolCalls = choiceMessage.tool_calls || [];
+      
+      // Quando o modelo solicita ferramentas, o conteúdo pode vir vazio
+      const aiResponse = choiceMessage.content ||
+        (toolCalls.length > 0 ? '' : 'Desculpe, não consegui gerar uma resposta.');
+      
+      const aiMessage = {
+        role: 'assistant',
+        content: aiResponse
+      };
+      
+      if (toolCalls.length > 0) {
+        aiMessage.tool_calls = toolCalls;
+      }
       
       return {
         success: true,
         message: aiResponse,
+        model: response.model,
         usage: response.data.usage,
+        toolCalls,
         // Retorna a mensagem adicionada ao histórico
-        aiMessage: {
-          role: 'assistant',
-          content: aiResponse
-        }
+        aiMessage
       };
     } catch (error) {
       console.error('Erro ao obter resposta do Groq:', error.response?.data || error.message);
+      
+      // Circuito aberto: o serviço está fora do ar, responde com a mensagem padrão
+      if (error.code === 'CIRCUIT_OPEN') {
+        return {
+          success: false,
+          circuitOpen: true,
+          error: error.message,
+          message: this.unavailableMessage
+        };
+      }
+      
       return {
         success: false,
         error: error.response?.data || error.message,
@@ -72,6 +174,131 @@ class GroqService {
       };
     }
   }
+
+  /**
+   * Transcreve um áudio usando o endpoint /audio/transcriptions
+   * @param {Buffer} audio - Conteúdo do arquivo de áudio
+   * @param {Object} options - Opções da transcrição
+   * @param {string} options.filename - Nome do arquivo, com extensão (ex.: 'audio.ogg')
+   * @param {string} options.mimeType - Tipo MIME do áudio
+   * @returns {Promise<Object>} - {success, text, model} ou {success: false, error}
+   */
+  async transcribeAudio(audio, { filename = 'audio.ogg', mimeType = 'audio/ogg' } = {}) {
+    try {
+      const form = new FormData();
+      form.append('file', new Blob([audio], { type: mimeType }), filename);
+      form.append('model', this.transcriptionModel);
+      form.append('response_format', 'json');
+      if (this.transcriptionLanguage) {
+        form.append('language', this.transcriptionLanguage);
+      }
+
+      const response = await this.http.request({
+        method: 'POST',
+        url: `${this.baseUrl}/audio/transcriptions`,
+        headers: {
+          'Authorization': `Bearer ${this.apiKey}`
+        },
+        data: form
+      }, { retry: 'always' });
+
+      const text = (response.data.text || '').trim();
+
+      if (!text) {
+        return { success: false, error: 'Transcrição vazia' };
+      }
+
+      return {
+        success: true,
+        text,
+        model: this.transcriptionModel
+      };
+    } catch (error) {
+      console.error('Erro ao transcrever áudio no Groq:', error.response?.data || error.message);
+
+      return {
+        success: false,
+        circuitOpen: error.code === 'CIRCUIT_OPEN',
+        error: error.response?.data || error.message
+      };
+    }
+  }
+
+  /**
+   * Monta a ordem dos modelos a serem tentados
+   * @param {Object} options - Opções {model, fallback}
+   * @returns {Array<string>} - Modelos em ordem de tentativa
+   */
+  getModelChain({ model, fallback = true } = {}) {
+    if (!model) return fallback ? this.models : this.models.slice(0, 1);
+    if (!fallback) return [model];
+    return [model, ...this.models.filter(item => item !== model)];
+  }
+
+  /**
+   * Chama a API do Groq percorrendo a lista de modelos até obter uma resposta
+   * @param {Array} messages - Mensagens no formato da API
+   * @param {Object} options - Opções {model, fallback}
+   * @returns {Promise<Object>} - Resposta do axios acrescida do modelo utilizado
+   */
+  async requestWithFallback(messages, options) {
+    const chain = this.getModelChain(options);
+    let lastError;
+
+    for (const [index, model] of chain.entries()) {
+      const hasNextModel = index < chain.length - 1;
+
+      try {
+        // Havendo outro modelo, erros de limite de uso ou indisponibilidade passam direto para ele,
+        // sem novas tentativas no mesmo modelo
+        const response = await this.getModelClient(model).request({
+          method: 'POST',
+          url: `${this.baseUrl}/chat/completions`,
+          headers: {
+            'Authorization': `Bearer ${this.apiKey}`,
+            'Content-Type': 'application/json'
+          },
+          data: {
+            model,
+            messages,
+            max_tokens: this.maxTokens,
+            temperature: this.temperature,
+            ...(options.tools && options.tools.length > 0 && {
+              tools: options.tools,
+              tool_choice: options.toolChoice || 'auto'
+            })
+          }
+        }, { retry: error => !(hasNextModel && this.isModelFallbackError(error)) });
+
+        response.model = response.data.model || model;
+        return response;
+      } catch (error) {
+        if (!this.isModelFallbackError(error) && error.code !== 'CIRCUIT_OPEN') throw error;
+
+        lastError = error;
+        
+        if (hasNextModel) {
+          console.warn(`⚠️ Modelo ${model} indisponível (${error.response?.status || error.code}), tentando o próximo modelo...`);
+        }
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Indica se um erro justifica tentar o próximo modelo da lista
+   * (limite de uso ou modelo indisponível/descontinuado)
+   * @param {Error} error - Erro da requisição
+   * @returns {boolean} - Se deve tentar outro modelo
+   */
+  isModelFallbackError(error) {
+    const status = error.response?.status;
+    const code = error.response?.data?.error?.code;
+
+    return status === 429 || status === 503 || status === 404 ||
+      code === 'model_not_found' || code === 'model_decommissioned';
+  }
 }
 
 module.exports = new GroqService(); 
\ No newline at end of file
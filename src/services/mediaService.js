@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { createStore } = require('../storage');
+const whatsappService = require('./whatsappService');
+
+// Extensões de arquivo para os tipos MIME mais comuns no WhatsApp
+const MIME_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'audio/ogg': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/aac': 'aac',
+  'audio/amr': 'amr',
+  'video/mp4': 'mp4',
+  'video/3gpp': '3gp',
+  'application/pdf': 'pdf',
+  'text/plain': 'txt'
+};
+
+// Descrição de cada tipo de mídia para as respostas ao usuário
+const MEDIA_LABELS = {
+  image: { label: 'imagem', possessive: 'sua', emoji: '📷' },
+  audio: { label: 'áudio', possessive: 'seu', emoji: '🎤' },
+  video: { label: 'vídeo', possessive: 'seu', emoji: '🎬' },
+  document: { label: 'documento', possessive: 'seu', emoji: '📄' },
+  sticker: { label: 'figurinha', possessive: 'sua', emoji: '😄' }
+};
+
+/**
+ * Serviço de armazenamento local das mídias recebidas pelo WhatsApp
+ * Baixa os arquivos pela Graph API, grava no disco e mantém um índice de metadados
+ */
+class MediaService {
+  constructor() {
+    this.mediaDir = config.media.dir;
+    this.maxBytes = config.media.maxBytes;
+
+    // Índice dos arquivos armazenados, por ID da mídia
+    this.mediaIndex = createStore(config.storage.mediaDriver, 'media');
+  }
+
+  /**
+   * Obtém a descrição de um tipo de mídia em português
+   * @param {string} type - Tipo da mensagem (image, audio, video, document, sticker)
+   * @returns {Object} - {label, possessive, emoji}
+   */
+  getLabel(type) {
+    return MEDIA_LABELS[type] || { label: 'arquivo', possessive: 'seu', emoji: '📎' };
+  }
+
+  /**
+   * Formata um tamanho em bytes para exibição
+   * @param {number} size - Tamanho em bytes
+   * @returns {string} - Tamanho formatado (KB ou MB)
+   */
+  formatSize(size) {
+    if (size >= 1024 * 1024) return `${(size / (1024 * 1024)).toFixed(1)} MB`;
+    return `${Math.max(1, Math.round(size / 1024))} KB`;
+  }
+
+  /**
+   * Descreve uma mídia recebida, para o histórico e para a resposta ao usuário
+   * @param {string} type - Tipo da mensagem
+   * @param {Object} media - Mídia normalizada
+   * @param {Object|null} record - Registro da mídia armazenada (null se o download falhou)
+   * @returns {string} - Descrição, por exemplo: 'imagem (image/jpeg, 120 KB)'
+   */
+  describeMedia(type, media, record) {
+    const { label } = this.getLabel(type);
+    const name = media.filename ? ` "${media.filename}"` : '';
+    const details = [record?.mimeType || media.mimeType, record ? this.formatSize(record.size) : null]
+      .filter(Boolean)
+      .join(', ');
+
+    return `${label}${name}${details ? ` (${details})` : ''}`;
+  }
+
+  /**
+   * Baixa uma mídia recebida e grava no armazenamento local
+   * @param {string} userId - ID do usuário que enviou a mídia
+   * @param {string} type - Tipo da mensagem
+   * @param {Object} media - Mídia normalizada {id, mimeType, caption, filename}
+   * @returns {Promise<Object>} - {success, record} ou {success: false, error}
+   */
+  async storeMedia(userId, type, media) {
+    const download = await whatsappService.downloadMedia(media.id, this.maxBytes);
+
+    if (!download.success) {
+      return download;
+    }
+
+    const mimeType = (download.mimeType || media.mimeType || '').split(';')[0].trim();
+    const extension = MIME_EXTENSIONS[mimeType] || 'bin';
+    const filePath = path.join(this.mediaDir, `${media.id}.${extension}`);
+
+    fs.mkdirSync(this.mediaDir, { recursive: true });
+    fs.writeFileSync(filePath, download.buffer);
+
+    const record = {
+      id: media.id,
+      userId,
+      type,
+      mimeType,
+      size: download.size,
+      caption: media.caption,
+      filename: media.filename,
+      filePath,
+      receivedAt: new Date().toISOString()
+    };
+
+    this.mediaIndex.set(media.id, record);
+    console.log(`💾 Mídia ${media.id} de ${userId} armazenada em ${filePath}`);
+
+    return { success: true, record };
+  }
+
+  /**
+   * Lê o conteúdo de uma mídia armazenada
+   * @param {Object} record - Registro da mídia
+   * @returns {Buffer} - Conteúdo do arquivo
+   */
+  readMedia(record) {
+    const filePath = this.resolveMediaPath(record);
+
+    if (!filePath) {
+      throw new Error(`Arquivo da mídia ${record.id} fora do diretório de mídias`);
+    }
+
+    return fs.readFileSync(filePath);
+  }
+
+  /**
+   * Obtém o caminho absoluto do arquivo de uma mídia, garantindo que ele está no diretório de mídias
+   * (registros antigos podem ter sido gravados com caminho relativo)
+   * @param {Object} record - Registro da mídia
+   * @returns {string|null} - Caminho absoluto ou null se o arquivo estiver fora do diretório de mídias
+   */
+  resolveMediaPath(record) {
+    const filePath = path.resolve(record.filePath);
+    const relative = path.relative(this.mediaDir, filePath);
+
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+      return null;
+    }
+
+    return filePath;
+  }
+
+  /**
+   * Obtém os metadados de uma mídia armazenada
+   * @param {string} mediaId - ID da mídia
+   * @returns {Object|null} - Metadados ou null se não existir
+   */
+  getMedia(mediaId) {
+    return this.mediaIndex.get(mediaId) || null;
+  }
+}
+
+module.exports = new MediaService();
@@ -0,0 +1,111 @@
+const NodeCache = require('node-cache');
+const config = require('../config');
+
+// Ordem dos status de entrega; webhooks podem chegar fora de ordem
+const STATUS_RANK = {
+  accepted: 0,
+  sent: 1,
+  delivered: 2,
+  read: 3,
+  failed: 4
+};
+
+/**
+ * Serviço de acompanhamento do status de entrega das mensagens enviadas
+ * Registra o aceite da Graph API e os eventos de status (sent/delivered/read/failed)
+ * recebidos pelo webhook, indexados pelo messageId
+ */
+class MessageStatusService {
+  constructor() {
+    // Status por messageId (TTL configurável, padrão: 7 dias)
+    this.statusCache = new NodeCache({ stdTTL: config.whatsapp.statusTTL, checkperiod: 3600 });
+  }
+
+  /**
+   * Registra uma mensagem aceita pela Graph API no momento do envio
+   * @param {string} messageId - ID retornado pela Graph API
+   * @param {string} recipientId - Número de destino
+   * @param {string} type - Tipo da mensagem enviada (text, template...)
+   */
+  recordOutbound(messageId, recipientId, type) {
+    if (!messageId) return;
+
+    const now = new Date().toISOString();
+    this.statusCache.set(messageId, {
+      messageId,
+      recipientId,
+      type,
+      status: 'accepted',
+      errors: [],
+      events: [{ status: 'accepted', timestamp: now }],
+      createdAt: now,
+      updatedAt: now
+    });
+  }
+
+  /**
+   * Registra um evento de status recebido pelo webhook
+   * @param {Object} statusEvent - Evento normalizado {messageId, recipientId, status, timestamp, errors}
+   * @returns {Object} - Registro atualizado da mensagem
+   */
+  recordStatus(statusEvent) {
+    const { messageId, recipientId, status, timestamp, errors = [] } = statusEvent;
+    const now = new Date().toISOString();
+
+    const record = this.statusCache.get(messageId) || {
+      messageId,
+      recipientId,
+      type: null,
+      status: null,
+      errors: [],
+      events: [],
+      createdAt: now
+    };
+
+    record.events.push({ status, timestamp, errors: errors.length > 0 ? errors : undefined });
+
+    // Mantém o status mais avançado (failed é definitivo)
+    if (record.status === null || (STATUS_RANK[status] ?? -1) >= (STATUS_RANK[record.status] ?? -1)) {
+      record.status = status;
+    }
+
+    if (errors.length > 0) {
+      record.errors.push(...errors);
+    }
+
+    record.recipientId = record.recipientId || recipientId;
+    record.updatedAt = now;
+    this.statusCache.set(messageId, record);
+
+    if (status === 'failed') {
+      const codes = errors.map(error => `${error.code} (${error.title})`).join(', ');
+      console.error(`❌ Falha na entrega da mensagem ${messageId} para ${recipientId}: ${codes || 'sem detalhes'}`);
+    } else {
+      console.log(`📬 Mensagem ${messageId} para ${recipientId}: ${status}`);
+    }
+
+    return record;
+  }
+
+  /**
+   * Obtém o status de uma mensagem
+   * @param {string} messageId - ID da mensagem
+   * @returns {Object|null} - Registro da mensagem ou null se desconhecida
+   */
+  getStatus(messageId) {
+    return this.statusCache.get(messageId) || null;
+  }
+
+  /**
+   * Lista as mensagens cuja entrega falhou
+   * @returns {Array} - Registros com status failed, do mais recente ao mais antigo
+   */
+  listFailed() {
+    return this.statusCache.keys()
+      .map(key => this.statusCache.get(key))
+      .filter(record => record && record.status === 'failed')
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+}
+
+module.exports = new MessageStatusService();
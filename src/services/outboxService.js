@@ -0,0 +1,291 @@
+const crypto = require('crypto');
+const config = require('../config');
+const { createStore } = require('../storage');
+const whatsappService = require('./whatsappService');
+
+// Códigos de erro da API do WhatsApp para limites de envio: a mensagem foi recusada sem ser processada
+const THROTTLING_CODES = [4, 80007, 130429, 131056];
+
+/**
+ * Fila persistente de envios ao WhatsApp (outbox)
+ * Cada envio é gravado antes da primeira tentativa; falhas em que a mensagem certamente não foi
+ * processada (conexão não estabelecida, circuito aberto ou limite de envios) são repetidas conforme
+ * os intervalos configurados. As demais falhas, inclusive as de resultado incerto (timeout e 5xx, em
+ * que a Graph API pode ter aceitado a mensagem), e os envios que esgotam as tentativas vão para a
+ * fila de falhas (dead letter), para que um operador decida sobre o reenvio manual
+ *
+ * Formato dos envios: {id, kind, to, payload, status, attempts, nextAttemptAt,
+ * lastError, createdAt, updatedAt, sentAt, messageIds}
+ * - kind 'text': payload {text, fallbackTemplate}
+ * - kind 'formatted': payload {text, fallbackTemplate, sentParts} (resposta da IA, dividida em partes)
+ * - status: 'pending', 'sent' ou 'dead'
+ */
+class OutboxService {
+  constructor() {
+    this.jobStore = createStore(config.storage.outboxDriver, 'outbox');
+    this.retryDelays = config.outbox.retryDelays;
+    this.sentRetention = config.outbox.sentRetention;
+
+    // Envios em andamento, para que a verificação periódica e o reenvio manual não os repitam
+    this.inFlight = new Set();
+    this.processing = false;
+
+    // Índice em memória dos envios (id -> {status, dueAt}), para que a verificação periódica
+    // não precise ler todos os envios. dueAt é a próxima tentativa (pendentes) ou o envio (concluídos)
+    this.index = new Map();
+    for (const job of this.listJobs()) {
+      this.indexJob(job);
+    }
+
+    const pending = this.getStats().pending;
+    if (pending > 0) {
+      console.log(`📮 ${pending} envio(s) pendente(s) na fila serão retomados`);
+    }
+
+    // Verifica periodicamente os envios pendentes e remove os concluídos antigos
+    setInterval(() => this.processDueJobs(), config.outbox.pollInterval).unref();
+  }
+
+  /**
+   * Envia uma mensagem de texto pela fila, com fallback para template
+   * @param {string} to - Número de telefone de destino
+   * @param {string} text - Texto da mensagem
+   * @param {string} fallbackTemplate - Nome do template para fallback
+   * @returns {Promise<Object>} - Resultado da primeira tentativa, acrescido de {jobId, queued}
+   */
+  sendText(to, text, fallbackTemplate) {
+    return this.enqueue('text', to, { text, fallbackTemplate });
+  }
+
+  /**
+   * Envia uma resposta em Markdown (formatada e dividida em partes) pela fila
+   * @param {string} to - Número de telefone de destino
+   * @param {string} text - Texto em Markdown
+   * @param {string} fallbackTemplate - Nome do template para fallback
+   * @returns {Promise<Object>} - Resultado da primeira tentativa, acrescido de {jobId, queued}
+   */
+  sendFormatted(to, text, fallbackTemplate) {
+    return this.enqueue('formatted', to, { text, fallbackTemplate, sentParts: 0 });
+  }
+
+  /**
+   * Grava um envio na fila e faz a primeira tentativa
+   * @param {string} kind - Tipo do envio ('text' ou 'formatted')
+   * @param {string} to - Número de telefone de destino
+   * @param {Object} payload - Dados do envio
+   * @returns {Promise<Object>} - Resultado da tentativa {success, jobId, queued, ...}
+   */
+  async enqueue(kind, to, payload) {
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      kind,
+      to,
+      payload,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: now,
+      lastError: null,
+      createdAt: now,
+      updatedAt: now,
+      sentAt: null,
+      messageIds: []
+    };
+
+    this.saveJob(job);
+    return this.attempt(job.id);
+  }
+
+  /**
+   * Grava um envio e atualiza o índice
+   * @param {Object} job - Envio da fila
+   */
+  saveJob(job) {
+    this.jobStore.set(job.id, job);
+    this.indexJob(job);
+  }
+
+  /**
+   * Atualiza a entrada de um envio no índice em memória
+   * @param {Object} job - Envio da fila
+   */
+  indexJob(job) {
+    const dueAt = job.status === 'pending' ? job.nextAttemptAt : job.sentAt;
+    this.index.set(job.id, { status: job.status, dueAt: dueAt ? Date.parse(dueAt) : null });
+  }
+
+  /**
+   * Faz uma tentativa de envio e atualiza o estado do envio na fila
+   * @param {string} jobId - ID do envio
+   * @returns {Promise<Object>} - Resultado {success, jobId, queued, status, ...}
+   */
+  async attempt(jobId) {
+    const job = this.jobStore.get(jobId);
+
+    if (!job || job.status !== 'pending' || this.inFlight.has(jobId)) {
+      return { success: false, jobId, error: 'Envio não encontrado, já concluído ou em andamento' };
+    }
+
+    this.inFlight.add(jobId);
+
+    try {
+      const result = await this.dispatch(job);
+      job.attempts++;
+      job.updatedAt = new Date().toISOString();
+
+      if (result.messageIds) job.messageIds.push(...result.messageIds);
+      else if (result.messageId) job.messageIds.push(result.messageId);
+
+      // Envios divididos em partes continuam da parte que falhou
+      if (job.kind === 'formatted' && typeof result.sentParts === 'number') {
+        job.payload.sentParts = result.sentParts;
+      }
+
+      if (result.success) {
+        job.status = 'sent';
+        job.sentAt = job.updatedAt;
+        job.lastError = null;
+      } else {
+        job.lastError = result.error;
+        const delay = this.retryDelays[job.attempts - 1];
+
+        if (!this.isRetryable(result) || delay === undefined) {
+          job.status = 'dead';
+          console.error(`☠️ Envio ${job.id} para ${job.to} movido para a fila de falhas após ${job.attempts} tentativa(s)`);
+        } else {
+          job.nextAttemptAt = new Date(Date.now() + delay * 1000).toISOString();
+          console.warn(`📮 Envio ${job.id} para ${job.to} falhou, nova tentativa em ${delay} s`);
+        }
+      }
+
+      this.saveJob(job);
+
+      return {
+        ...result,
+        jobId: job.id,
+        status: job.status,
+        queued: job.status === 'pending'
+      };
+    } finally {
+      this.inFlight.delete(jobId);
+    }
+  }
+
+  /**
+   * Executa o envio conforme o tipo
+   * As novas tentativas do cliente HTTP são desativadas: a própria fila repete o envio
+   * @param {Object} job - Envio da fila
+   * @returns {Promise<Object>} - Resultado do WhatsAppService
+   */
+  dispatch(job) {
+    const { text, fallbackTemplate, sentParts } = job.payload;
+
+    switch (job.kind) {
+      case 'text':
+        return whatsappService.sendMessageWithFallback(job.to, text, fallbackTemplate, { retry: false });
+      case 'formatted':
+        return whatsappService.sendFormattedMessage(job.to, text, fallbackTemplate, { startAt: sentParts, retry: false });
+      default:
+        return Promise.resolve({ success: false, error: `Tipo de envio desconhecido: ${job.kind}` });
+    }
+  }
+
+  /**
+   * Indica se uma falha de envio pode ser repetida sem risco de duplicar a mensagem
+   * @param {Object} result - Resultado do WhatsAppService {success, error, unsent}
+   * @returns {boolean} - Se deve tentar novamente
+   */
+  isRetryable(result) {
+    return Boolean(result.unsent) || THROTTLING_CODES.includes(result.error?.error?.code);
+  }
+
+  /**
+   * Tenta novamente os envios pendentes cujo horário chegou e remove os concluídos antigos
+   */
+  async processDueJobs() {
+    // Evita verificações sobrepostas quando as tentativas demoram mais que o intervalo
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      const now = Date.now();
+
+      for (const [jobId, { status, dueAt }] of [...this.index]) {
+        if (status === 'pending' && dueAt <= now) {
+          await this.attempt(jobId);
+        } else if (status === 'sent' && now - dueAt > this.sentRetention * 1000) {
+          this.jobStore.delete(jobId);
+          this.index.delete(jobId);
+        }
+      }
+    } catch (error) {
+      console.error('Erro ao processar a fila de envios:', error.message);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Lista os envios da fila, dos mais recentes para os mais antigos
+   * @param {Object} filters - Filtros opcionais {status}
+   * @returns {Array} - Envios
+   */
+  listJobs({ status } = {}) {
+    return this.jobStore.keys()
+      .map(id => this.jobStore.get(id))
+      .filter(job => job && (!status || job.status === status))
+      .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+  }
+
+  /**
+   * Obtém um envio da fila
+   * @param {string} jobId - ID do envio
+   * @returns {Object|null} - Envio ou null se não existir
+   */
+  getJob(jobId) {
+    return this.jobStore.get(jobId) || null;
+  }
+
+  /**
+   * Reenvia manualmente um envio pendente ou da fila de falhas, reiniciando as tentativas
+   * @param {string} jobId - ID do envio
+   * @returns {Promise<Object|null>} - Resultado da tentativa ({inFlight: true} se já houver uma
+   * tentativa em andamento) ou null se o envio não existir
+   */
+  async retry(jobId) {
+    const job = this.jobStore.get(jobId);
+    if (!job) return null;
+
+    if (job.status === 'sent') {
+      return { success: false, jobId, status: job.status, error: 'O envio já foi concluído' };
+    }
+
+    if (this.inFlight.has(jobId)) {
+      return { success: false, jobId, status: job.status, inFlight: true, error: 'Já há uma tentativa em andamento para este envio' };
+    }
+
+    job.status = 'pending';
+    job.attempts = 0;
+    job.nextAttemptAt = new Date().toISOString();
+    this.saveJob(job);
+
+    console.log(`📮 Reenvio manual do envio ${job.id} para ${job.to}`);
+    return this.attempt(job.id);
+  }
+
+  /**
+   * Obtém a quantidade de envios por status
+   * @returns {Object} - {pending, sent, dead}
+   */
+  getStats() {
+    const stats = { pending: 0, sent: 0, dead: 0 };
+
+    for (const { status } of this.index.values()) {
+      stats[status]++;
+    }
+
+    return stats;
+  }
+}
+
+module.exports = new OutboxService();
@@ -0,0 +1,73 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+/**
+ * Serviço da persona (prompt de sistema base) do assistente
+ * A persona é carregada de um arquivo e pode ser atualizada em tempo de execução,
+ * sem necessidade de um novo deploy
+ */
+class PersonaService {
+  constructor() {
+    // Arquivo onde a persona atualizada é gravada
+    this.filePath = config.persona.file || path.join(config.storage.dataDir, 'persona.md');
+    this.defaultFilePath = config.persona.defaultFile;
+    this.load();
+  }
+
+  /**
+   * Carrega a persona do arquivo configurado ou, se ele não existir, do arquivo padrão
+   */
+  load() {
+    const source = fs.existsSync(this.filePath) ? this.filePath : this.defaultFilePath;
+
+    try {
+      this.prompt = fs.readFileSync(source, 'utf8').trim();
+      this.source = source;
+      this.updatedAt = fs.statSync(source).mtime.toISOString();
+      console.log(`🎭 Persona carregada de ${source}`);
+    } catch (error) {
+      console.error(`Erro ao carregar a persona de ${source}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtém o prompt de sistema base
+   * @returns {string} - Texto da persona
+   */
+  getPrompt() {
+    return this.prompt;
+  }
+
+  /**
+   * Obtém a persona com seus metadados
+   * @returns {Object} - {prompt, source, updatedAt}
+   */
+  getPersona() {
+    return {
+      prompt: this.prompt,
+      source: this.source,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Atualiza a persona e grava no arquivo
+   * @param {string} prompt - Novo prompt de sistema base
+   * @returns {Object} - Persona atualizada
+   */
+  updatePrompt(prompt) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, `${prompt.trim()}\n`);
+
+    this.prompt = prompt.trim();
+    this.source = this.filePath;
+    this.updatedAt = new Date().toISOString();
+    console.log(`🎭 Persona atualizada em ${this.filePath}`);
+
+    return this.getPersona();
+  }
+}
+
+module.exports = new PersonaService();
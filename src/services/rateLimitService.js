@@ -0,0 +1,72 @@
+const NodeCache = require('node-cache');
+const config = require('../config');
+
+/**
+ * Limite de mensagens recebidas por usuário, usando um balde de tokens
+ * Cada mensagem consome um token; os tokens são repostos continuamente
+ * até a capacidade máxima (rajada)
+ */
+class RateLimitService {
+  constructor() {
+    this.enabled = config.rateLimit.enabled;
+    this.burst = config.rateLimit.userBurst;
+    this.perMinute = config.rateLimit.userPerMinute;
+    this.noticeWindow = config.rateLimit.noticeWindow;
+
+    // Baldes por usuário {tokens, updatedAt, noticeAt}, descartados após 1 hora sem mensagens
+    this.buckets = new NodeCache({ stdTTL: 3600, checkperiod: 600 });
+
+    // Contador de mensagens descartadas por excesso desde o início do processo
+    this.messagesLimited = 0;
+  }
+
+  /**
+   * Consome um token do balde do usuário
+   * @param {string} userId - ID do usuário (número de telefone)
+   * @returns {Object} - {allowed, retryAfter, notify}: retryAfter em segundos e notify
+   *                     indica se o aviso deve ser enviado (no máximo uma vez por janela)
+   */
+  consume(userId) {
+    if (!this.enabled) return { allowed: true };
+
+    const now = Date.now();
+    const bucket = this.buckets.get(userId) || { tokens: this.burst, updatedAt: now, noticeAt: null };
+
+    // Repor os tokens acumulados desde a última mensagem
+    const elapsedMinutes = (now - bucket.updatedAt) / 60000;
+    bucket.tokens = Math.min(this.burst, bucket.tokens + elapsedMinutes * this.perMinute);
+    bucket.updatedAt = now;
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      this.buckets.set(userId, bucket);
+      return { allowed: true };
+    }
+
+    const retryAfter = Math.ceil(((1 - bucket.tokens) / this.perMinute) * 60);
+    const notify = !bucket.noticeAt || now - bucket.noticeAt >= this.noticeWindow * 1000;
+
+    if (notify) {
+      bucket.noticeAt = now;
+    }
+
+    this.buckets.set(userId, bucket);
+    this.messagesLimited++;
+
+    return { allowed: false, retryAfter, notify };
+  }
+
+  /**
+   * Obtém estatísticas do limite de mensagens
+   * @returns {Object} - {enabled, trackedUsers, messagesLimited}
+   */
+  getStats() {
+    return {
+      enabled: this.enabled,
+      trackedUsers: this.buckets.keys().length,
+      messagesLimited: this.messagesLimited
+    };
+  }
+}
+
+module.exports = new RateLimitService();
@@ -0,0 +1,170 @@
+const contextService = require('./contextService');
+const config = require('../config');
+
+// Palavras muito frequentes em português (e saudações) que não ajudam na busca
+const STOPWORDS = new Set([
+  'a', 'ao', 'aos', 'as', 'boa', 'bom', 'com', 'como', 'da', 'das', 'de', 'dia', 'do', 'dos', 'e', 'ela', 'ele',
+  'em', 'essa', 'esse', 'esta', 'este', 'eu', 'fica', 'foi', 'ha', 'isso', 'ja', 'mais',
+  'me', 'meu', 'na', 'nas', 'no', 'nos', 'o', 'onde', 'os', 'ou', 'para', 'pela', 'pelo',
+  'por', 'qual', 'quais', 'quando', 'que', 'quem', 'se', 'sobre', 'sua', 'seu', 'tem',
+  'um', 'uma', 'voce', 'vou', 'oi', 'ola', 'tarde', 'noite', 'obrigado', 'obrigada'
+]);
+
+// Peso de cada campo do contexto no índice (repetição dos termos)
+const FIELD_WEIGHTS = {
+  name: 3,
+  description: 2,
+  info: 1,
+  history: 1,
+  services: 1,
+  events: 1
+};
+
+/**
+ * Serviço de recuperação de contextos para respostas aumentadas (RAG)
+ * Mantém um índice BM25 local sobre o catálogo do ContextService,
+ * reconstruído automaticamente quando o catálogo muda
+ */
+class RetrievalService {
+  constructor() {
+    // Parâmetros do BM25
+    this.k1 = 1.2;
+    this.b = 0.75;
+
+    this.topK = config.retrieval.topK;
+    this.minScore = config.retrieval.minScore;
+
+    // Versão do catálogo usada na última construção do índice
+    this.indexedVersion = null;
+    this.documents = [];
+    this.documentFrequency = new Map();
+    this.averageLength = 0;
+  }
+
+  /**
+   * Quebra um texto em termos normalizados, sem acentos e sem stopwords
+   * @param {string} text - Texto original
+   * @returns {Array<string>} - Termos
+   */
+  tokenize(text) {
+    return contextService.normalizeText(text)
+      .split(/[^a-z0-9]+/)
+      .filter(term => term.length > 1 && !STOPWORDS.has(term));
+  }
+
+  /**
+   * Reconstrói o índice se o catálogo de contextos foi alterado
+   */
+  ensureIndex() {
+    if (this.indexedVersion === contextService.version) return;
+
+    this.documents = [];
+    this.documentFrequency = new Map();
+
+    for (const context of contextService.getAllContexts()) {
+      const terms = [];
+
+      for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+        const value = Array.isArray(context[field]) ? context[field].join(' ') : context[field];
+        const fieldTerms = this.tokenize(value);
+
+        for (let i = 0; i < weight; i++) {
+          terms.push(...fieldTerms);
+        }
+      }
+
+      const termFrequency = new Map();
+      for (const term of terms) {
+        termFrequency.set(term, (termFrequency.get(term) || 0) + 1);
+      }
+
+      for (const term of termFrequency.keys()) {
+        this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+      }
+
+      this.documents.push({ id: context.id, length: terms.length, termFrequency });
+    }
+
+    const totalLength = this.documents.reduce((sum, doc) => sum + doc.length, 0);
+    this.averageLength = this.documents.length > 0 ? totalLength / this.documents.length : 0;
+    this.indexedVersion = contextService.version;
+
+    console.log(`🔎 Índice de recuperação reconstruído com ${this.documents.length} contexto(s)`);
+  }
+
+  /**
+   * Busca os contextos mais relevantes para um texto
+   * @param {string} query - Texto da busca (normalmente a mensagem do usuário)
+   * @param {number} limit - Número máximo de resultados (padrão: configuração topK)
+   * @returns {Array} - Resultados {id, score}, do mais relevante ao menos relevante
+   */
+  search(query, limit = this.topK) {
+    this.ensureIndex();
+
+    const queryTerms = [...new Set(this.tokenize(query))];
+    if (queryTerms.length === 0 || this.documents.length === 0) return [];
+
+    const totalDocuments = this.documents.length;
+    const results = [];
+
+    for (const doc of this.documents) {
+      let score = 0;
+
+      for (const term of queryTerms) {
+        const frequency = doc.termFrequency.get(term);
+        if (!frequency) continue;
+
+        const documentFrequency = this.documentFrequency.get(term);
+        const idf = Math.log(1 + (totalDocuments - documentFrequency + 0.5) / (documentFrequency + 0.5));
+        const normalization = this.k1 * (1 - this.b + this.b * doc.length / this.averageLength);
+
+        score += idf * (frequency * (this.k1 + 1)) / (frequency + normalization);
+      }
+
+      if (score >= this.minScore) {
+        results.push({ id: doc.id, score: Number(score.toFixed(3)) });
+      }
+    }
+
+    return results
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Monta a mensagem de sistema com os contextos recuperados para uma pergunta
+   * @param {string} query - Mensagem do usuário
+   * @returns {Object|null} - {message, ids, scores} ou null se nenhum contexto for relevante
+   */
+  buildRetrievalMessage(query) {
+    const results = this.search(query);
+    const contexts = results
+      .map(result => {
+        const context = contextService.getContext(result.id);
+        return context ? { id: result.id, ...context } : null;
+      })
+      .filter(Boolean);
+
+    if (contexts.length === 0) return null;
+
+    const sections = contexts.map(context => [
+      `[${context.id}] ${context.name}: ${context.description || ''}`,
+      context.info ? `Detalhes: ${context.info}` : '',
+      context.services ? `Serviços disponíveis: ${context.services.join(', ')}` : '',
+      context.events ? `Eventos: ${context.events}` : '',
+      context.history ? `História: ${context.history}` : '',
+      context.operatingHours ? `Horário de funcionamento: ${context.operatingHours}` : ''
+    ].filter(Boolean).join('\n'));
+
+    return {
+      ids: contexts.map(context => context.id),
+      scores: results,
+      message: {
+        role: 'system',
+        content: `Locais do catálogo oficial possivelmente relacionados à pergunta do usuário:\n\n${sections.join('\n\n')}\n\nUse essas informações somente se forem relevantes para a pergunta.`
+      }
+    };
+  }
+}
+
+module.exports = new RetrievalService();
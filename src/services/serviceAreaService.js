@@ -0,0 +1,63 @@
+const fs = require('fs');
+const config = require('../config');
+const { pointInPolygon, extractPolygons } = require('../utils/geo');
+
+/**
+ * Serviço que define a área de atendimento da implantação
+ * A área é configurada como um ou mais polígonos GeoJSON, permitindo
+ * que a mesma aplicação atenda outros municípios
+ */
+class ServiceAreaService {
+  constructor() {
+    this.name = config.serviceArea.name;
+    this.boundaryFile = config.serviceArea.boundaryFile;
+    this.load();
+  }
+
+  /**
+   * Carrega os polígonos da área de atendimento a partir do arquivo configurado
+   */
+  load() {
+    try {
+      this.boundary = JSON.parse(fs.readFileSync(this.boundaryFile, 'utf8'));
+      this.polygons = extractPolygons(this.boundary);
+    } catch (error) {
+      console.error(`Erro ao carregar a área de atendimento de ${this.boundaryFile}:`, error.message);
+      throw error;
+    }
+
+    if (this.polygons.length === 0) {
+      throw new Error(`Nenhum polígono encontrado na área de atendimento ${this.boundaryFile}`);
+    }
+
+    console.log(`🗺️ Área de atendimento "${this.name}" carregada com ${this.polygons.length} polígono(s)`);
+  }
+
+  /**
+   * Verifica se uma localização está dentro da área de atendimento
+   * @param {Object} location - Coordenadas {latitude, longitude}
+   * @returns {boolean} - Se a localização está em algum dos polígonos
+   */
+  contains(location) {
+    const { latitude, longitude } = location;
+
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return false;
+
+    return this.polygons.some(polygon => pointInPolygon(longitude, latitude, polygon));
+  }
+
+  /**
+   * Obtém a área de atendimento ativa
+   * @returns {Object} - {name, source, polygons, boundary}
+   */
+  getBoundary() {
+    return {
+      name: this.name,
+      source: this.boundaryFile,
+      polygons: this.polygons.length,
+      boundary: this.boundary
+    };
+  }
+}
+
+module.exports = new ServiceAreaService();
@@ -0,0 +1,186 @@
+const contextService = require('./contextService');
+const config = require('../config');
+
+/**
+ * Ferramentas (function calling) disponibilizadas para a IA
+ * Segue o protocolo "tools" compatível com a API da OpenAI e permite
+ * que o modelo consulte o catálogo do ContextService por conta própria
+ */
+class ToolService {
+  constructor() {
+    // Implementação de cada ferramenta, indexada pelo nome
+    this.handlers = {
+      search_contexts_by_name: args => this.searchContextsByName(args),
+      find_nearby_contexts: args => this.findNearbyContexts(args),
+      get_context_details: args => this.getContextDetails(args),
+      request_human_agent: args => this.requestHumanAgent(args)
+    };
+  }
+
+  /**
+   * Obtém as definições das ferramentas no formato esperado pela API
+   * @returns {Array} - Lista de ferramentas
+   */
+  getToolDefinitions() {
+    const tools = [
+      {
+        type: 'function',
+        function: {
+          name: 'search_contexts_by_name',
+          description: 'Busca pontos de interesse cadastrados pelo nome (ou parte do nome). Use quando o usuário perguntar sobre um local específico.',
+          parameters: {
+            type: 'object',
+            properties: {
+              query: { type: 'string', description: 'Nome do local, por exemplo "Paço do Frevo"' }
+            },
+            required: ['query']
+          }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'find_nearby_contexts',
+          description: 'Lista pontos de interesse próximos a uma coordenada, do mais próximo ao mais distante.',
+          parameters: {
+            type: 'object',
+            properties: {
+              latitude: { type: 'number', description: 'Latitude da posição' },
+              longitude: { type: 'number', description: 'Longitude da posição' },
+              radius: { type: 'number', description: 'Raio de busca em metros (padrão: 500)' }
+            },
+            required: ['latitude', 'longitude']
+          }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'get_context_details',
+          description: 'Obtém todas as informações de um ponto de interesse pelo seu id (descrição, serviços, horários, eventos e história).',
+          parameters: {
+            type: 'object',
+            properties: {
+              id: { type: 'string', description: 'Identificador do contexto, obtido nas outras ferramentas' }
+            },
+            required: ['id']
+          }
+        }
+      }
+    ];
+
+    if (config.handoff.enabled) {
+      tools.push({
+        type: 'function',
+        function: {
+          name: 'request_human_agent',
+          description: 'Encaminha a conversa para um atendente da prefeitura. Use quando o usuário fizer uma reclamação, relatar uma emergência, precisar resolver um caso burocrático (documentos, processos, cobranças) ou pedir para falar com uma pessoa.',
+          parameters: {
+            type: 'object',
+            properties: {
+              reason: { type: 'string', description: 'Resumo curto do motivo do encaminhamento, para o atendente' }
+            },
+            required: ['reason']
+          }
+        }
+      });
+    }
+
+    return tools;
+  }
+
+  /**
+   * Executa uma chamada de ferramenta solicitada pelo modelo
+   * @param {Object} toolCall - Chamada no formato {id, function: {name, arguments}}
+   * @returns {Object} - Mensagem de resultado {role: 'tool', tool_call_id, content}
+   */
+  executeToolCall(toolCall) {
+    const name = toolCall.function?.name;
+    let result;
+
+    try {
+      const handler = this.handlers[name];
+
+      if (!handler) {
+        throw new Error(`Ferramenta desconhecida: ${name}`);
+      }
+
+      const args = toolCall.function.arguments ? JSON.parse(toolCall.function.arguments) : {};
+      result = handler(args);
+      console.log(`🛠️ Ferramenta ${name} executada com ${JSON.stringify(args)}`);
+    } catch (error) {
+      console.error(`Erro ao executar a ferramenta ${name}:`, error.message);
+      result = { error: error.message };
+    }
+
+    return {
+      role: 'tool',
+      tool_call_id: toolCall.id,
+      content: JSON.stringify(result)
+    };
+  }
+
+  /**
+   * Ferramenta search_contexts_by_name
+   * @param {Object} args - {query}
+   * @returns {Object} - {results}
+   */
+  searchContextsByName({ query }) {
+    return { results: contextService.searchContextsByName(query) };
+  }
+
+  /**
+   * Ferramenta find_nearby_contexts
+   * @param {Object} args - {latitude, longitude, radius}
+   * @returns {Object} - {results}
+   */
+  findNearbyContexts({ latitude, longitude, radius = 500 }) {
+    const location = { latitude: Number(latitude), longitude: Number(longitude) };
+
+    if (!Number.isFinite(location.latitude) || !Number.isFinite(location.longitude)) {
+      throw new Error('Coordenadas inválidas');
+    }
+
+    const results = contextService.findContextsByLocation(location, Number(radius) || 500)
+      .slice(0, 10)
+      .map(context => ({
+        id: context.id,
+        name: context.name,
+        description: context.description,
+        distance: context.distance
+      }));
+
+    return { results };
+  }
+
+  /**
+   * Ferramenta get_context_details
+   * @param {Object} args - {id}
+   * @returns {Object} - Dados do contexto ou erro se não existir
+   */
+  getContextDetails({ id }) {
+    const context = contextService.getContext(id);
+
+    if (!context) {
+      return { error: `Contexto "${id}" não encontrado` };
+    }
+
+    return { id, ...context };
+  }
+
+  /**
+   * Ferramenta request_human_agent
+   * O encaminhamento é feito pelo ConversationService após o envio da resposta
+   * @param {Object} args - {reason}
+   * @returns {Object} - Confirmação com instruções para a resposta ao usuário
+   */
+  requestHumanAgent({ reason }) {
+    return {
+      requested: true,
+      reason: reason || null,
+      instructions: 'A conversa será encaminhada a um atendente humano da prefeitura. Avise o usuário de que um atendente continuará o atendimento em breve por aqui.'
+    };
+  }
+}
+
+module.exports = new ToolService();
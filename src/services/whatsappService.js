@@ -1,11 +1,47 @@
-const axios = require('axios');
+const crypto = require('crypto');
 const config = require('../config');
+const ResilientHttpClient = require('../utils/resilientHttpClient');
+const messageStatusService = require('./messageStatusService');
+const { formatForWhatsApp, splitMessage } = require('../utils/whatsappFormatter');
+
+// Tipos de mensagem com mídia anexada
+const MEDIA_TYPES = ['image', 'audio', 'video', 'document', 'sticker'];
+
+// Limites das mensagens interativas impostos pela API do WhatsApp
+const INTERACTIVE_LIMITS = {
+  maxButtons: 3,
+  buttonTitle: 20,
+  maxRows: 10,
+  rowTitle: 24,
+  rowDescription: 72,
+  listButton: 20,
+  header: 60,
+  body: 1024,
+  footer: 60
+};
+
+/**
+ * Encurta um texto para o tamanho máximo, terminando com reticências
+ * @param {string} text - Texto original
+ * @param {number} max - Tamanho máximo
+ * @returns {string} - Texto encurtado
+ */
+function truncate(text, max) {
+  const value = String(text || '');
+  return value.length > max ? `${value.slice(0, max - 1)}…` : value;
+}
 
 class WhatsAppService {
   constructor() {
     this.baseUrl = 'https://graph.facebook.com/v18.0';
     this.phoneNumberId = config.whatsapp.phoneNumberId;
     this.token = config.whatsapp.token;
+    
+    // Cliente HTTP com timeout, retry e circuit breaker
+    this.http = new ResilientHttpClient('WhatsApp Graph API', {
+      ...config.resilience,
+      timeout: config.whatsapp.timeout
+    });
   }
 
   /**
@@ -52,9 +88,10 @@ class WhatsAppService {
    * Envia uma mensagem de texto para um número do WhatsApp
    * @param {string} to - Número de telefone de destino no formato internacional (ex: 5511999998888)
    * @param {string} text - Texto da mensagem
-   * @returns {Promise} - Resultado da requisição
+   * @param {Object} requestOptions - Opções do cliente HTTP ({retry: false} desativa as novas tentativas)
+   * @returns {Promise} - Resultado da requisição (nas falhas, unsent indica que a mensagem certamente não foi processada)
    */
-  async sendTextMessage(to, text) {
+  async sendTextMessage(to, text, requestOptions = {}) {
     try {
       const normalizedTo = this.normalizePhoneNumber(to);
       console.log(`Enviando mensagem para número normalizado: ${normalizedTo} (original: ${to})`);
@@ -73,7 +110,7 @@ class WhatsAppService {
       
       console.log(`📤 Enviando payload para WhatsApp API: ${JSON.stringify(payload)}`);
       
-      const response = await axios({
+      const response = await this.http.request({
         method: 'POST',
         url: `${this.baseUrl}/${this.phoneNumberId}/messages`,
         headers: {
@@ -81,14 +118,17 @@ class WhatsAppService {
           'Content-Type': 'application/json'
         },
         data: payload
-      });
+      }, { retry: requestOptions.retry });
       
       console.log(`✅ Resposta da API WhatsApp: ${JSON.stringify(response.data)}`);
       
+      const messageId = response.data.messages?.[0]?.id;
+      messageStatusService.recordOutbound(messageId, normalizedTo, 'text');
+      
       return {
         success: true,
         data: response.data,
-        messageId: response.data.messages?.[0]?.id
+        messageId
       };
     } catch (error) {
       console.error('❌ Erro ao enviar mensagem WhatsApp:', error.response?.data || error.message);
@@ -102,7 +142,8 @@ class WhatsAppService {
       }
       return {
         success: false,
-        error: error.response?.data || error.message
+        error: error.response?.data || error.message,
+        unsent: this.http.isUnsentError(error)
       };
     }
   }
@@ -114,9 +155,10 @@ class WhatsAppService {
    * @param {string} templateName - Nome do template aprovado no WhatsApp
    * @param {string} language - Código do idioma (default: pt_BR)
    * @param {Array} components - Componentes do template (opcional)
-   * @returns {Promise} - Resultado da requisição
+   * @param {Object} requestOptions - Opções do cliente HTTP ({retry: false} desativa as novas tentativas)
+   * @returns {Promise} - Resultado da requisição (nas falhas, unsent indica que a mensagem certamente não foi processada)
    */
-  async sendTemplateMessage(to, templateName, language = 'pt_BR', components = []) {
+  async sendTemplateMessage(to, templateName, language = 'pt_BR', components = [], requestOptions = {}) {
     try {
       const normalizedTo = this.normalizePhoneNumber(to);
       console.log(`Enviando template para: ${normalizedTo}, template: ${templateName}`);
@@ -138,7 +180,7 @@ class WhatsAppService {
       
       console.log(`📤 Enviando payload de template para WhatsApp API: ${JSON.stringify(payload)}`);
       
-      const response = await axios({
+      const response = await this.http.request({
         method: 'POST',
         url: `${this.baseUrl}/${this.phoneNumberId}/messages`,
         headers: {
@@ -146,14 +188,17 @@ class WhatsAppService {
           'Content-Type': 'application/json'
         },
         data: payload
-      });
+      }, { retry: requestOptions.retry });
       
       console.log(`✅ Resposta de template da API WhatsApp: ${JSON.stringify(response.data)}`);
       
+      const messageId = response.data.messages?.[0]?.id;
+      messageStatusService.recordOutbound(messageId, normalizedTo, 'template');
+      
       return {
         success: true,
         data: response.data,
-        messageId: response.data.messages?.[0]?.id
+        messageId
       };
     } catch (error) {
       console.error('❌ Erro ao enviar mensagem de template:', error.response?.data || error.message);
@@ -167,31 +212,304 @@ class WhatsAppService {
       }
       return {
         success: false,
-        error: error.response?.data || error.message
+        error: error.response?.data || error.message,
+        unsent: this.http.isUnsentError(error)
       };
     }
   }
 
+  /**
+   * Envia uma mensagem de qualquer tipo suportado pela API (interactive, location, image, document...)
+   * @param {string} to - Número de telefone de destino no formato internacional
+   * @param {string} type - Tipo da mensagem
+   * @param {Object} content - Conteúdo da mensagem no formato da API do WhatsApp para o tipo
+   * @returns {Promise} - Resultado da requisição (nas falhas, unsent indica que a mensagem certamente não foi processada)
+   */
+  async sendMessagePayload(to, type, content) {
+    try {
+      const normalizedTo = this.normalizePhoneNumber(to);
+      console.log(`Enviando mensagem do tipo ${type} para: ${normalizedTo}`);
+      
+      const payload = {
+        messaging_product: 'whatsapp',
+        recipient_type: 'individual',
+        to: normalizedTo,
+        type,
+        [type]: content
+      };
+      
+      console.log(`📤 Enviando payload (${type}) para WhatsApp API: ${JSON.stringify(payload)}`);
+      
+      const response = await this.http.request({
+        method: 'POST',
+        url: `${this.baseUrl}/${this.phoneNumberId}/messages`,
+        headers: {
+          'Authorization': `Bearer ${this.token}`,
+          'Content-Type': 'application/json'
+        },
+        data: payload
+      });
+      
+      console.log(`✅ Resposta da API WhatsApp (${type}): ${JSON.stringify(response.data)}`);
+      
+      const messageId = response.data.messages?.[0]?.id;
+      messageStatusService.recordOutbound(messageId, normalizedTo, type);
+      
+      return {
+        success: true,
+        data: response.data,
+        messageId
+      };
+    } catch (error) {
+      console.error(`❌ Erro ao enviar mensagem do tipo ${type}:`, error.response?.data || error.message);
+      return {
+        success: false,
+        error: error.response?.data || error.message,
+        unsent: this.http.isUnsentError(error)
+      };
+    }
+  }
+
+  /**
+   * Envia uma mensagem interativa (botões de resposta ou lista) para um número do WhatsApp
+   * @param {string} to - Número de telefone de destino no formato internacional
+   * @param {Object} interactive - Objeto "interactive" no formato da API do WhatsApp
+   * @returns {Promise} - Resultado da requisição
+   */
+  async sendInteractiveMessage(to, interactive) {
+    return this.sendMessagePayload(to, 'interactive', interactive);
+  }
+
+  /**
+   * Envia um pin de localização
+   * @param {string} to - Número de telefone de destino no formato internacional
+   * @param {Object} location - {latitude, longitude, name, address}
+   * @returns {Promise} - Resultado da requisição ({success: false, invalid: true} se os dados forem inválidos)
+   */
+  async sendLocationMessage(to, { latitude, longitude, name, address } = {}) {
+    const lat = Number(latitude);
+    const lng = Number(longitude);
+    
+    if (latitude === undefined || longitude === undefined || !Number.isFinite(lat) || !Number.isFinite(lng)) {
+      return { success: false, invalid: true, error: 'Latitude e longitude válidas são obrigatórias' };
+    }
+    
+    return this.sendMessagePayload(to, 'location', {
+      latitude: lat,
+      longitude: lng,
+      ...(name && { name }),
+      ...(address && { address })
+    });
+  }
+
+  /**
+   * Monta o objeto de mídia de saída, a partir de uma URL pública ou do id de uma mídia enviada à Graph API
+   * @param {Object} media - {link, mediaId, caption, filename}
+   * @param {Array<string>} fields - Campos opcionais aceitos pelo tipo (caption, filename)
+   * @returns {Object|null} - Objeto de mídia ou null se não houver link nem mediaId
+   */
+  buildOutboundMedia({ link, mediaId, ...rest }, fields) {
+    if (!link && !mediaId) return null;
+    
+    const media = mediaId ? { id: String(mediaId) } : { link };
+    
+    for (const field of fields) {
+      if (rest[field]) media[field] = rest[field];
+    }
+    
+    return media;
+  }
+
+  /**
+   * Envia uma imagem por URL pública ou id de mídia
+   * @param {string} to - Número de telefone de destino no formato internacional
+   * @param {Object} image - {link, mediaId, caption}
+   * @returns {Promise} - Resultado da requisição ({success: false, invalid: true} se os dados forem inválidos)
+   */
+  async sendImageMessage(to, image = {}) {
+    const media = this.buildOutboundMedia(image, ['caption']);
+    
+    if (!media) {
+      return { success: false, invalid: true, error: 'Informe "link" ou "mediaId" da imagem' };
+    }
+    
+    return this.sendMessagePayload(to, 'image', media);
+  }
+
+  /**
+   * Envia um documento por URL pública ou id de mídia
+   * @param {string} to - Número de telefone de destino no formato internacional
+   * @param {Object} document - {link, mediaId, caption, filename}
+   * @returns {Promise} - Resultado da requisição ({success: false, invalid: true} se os dados forem inválidos)
+   */
+  async sendDocumentMessage(to, document = {}) {
+    const media = this.buildOutboundMedia(document, ['caption', 'filename']);
+    
+    if (!media) {
+      return { success: false, invalid: true, error: 'Informe "link" ou "mediaId" do documento' };
+    }
+    
+    return this.sendMessagePayload(to, 'document', media);
+  }
+
+  /**
+   * Monta os campos comuns (cabeçalho, corpo e rodapé) de uma mensagem interativa
+   * @param {string} bodyText - Texto principal da mensagem
+   * @param {Object} options - {header, footer}
+   * @returns {Object} - Campos header, body e footer no formato da API
+   */
+  buildInteractiveText(bodyText, { header, footer } = {}) {
+    return {
+      ...(header && { header: { type: 'text', text: truncate(header, INTERACTIVE_LIMITS.header) } }),
+      body: { text: truncate(bodyText, INTERACTIVE_LIMITS.body) },
+      ...(footer && { footer: { text: truncate(footer, INTERACTIVE_LIMITS.footer) } })
+    };
+  }
+
+  /**
+   * Envia uma mensagem com até 3 botões de resposta
+   * @param {string} to - Número de telefone de destino no formato internacional
+   * @param {string} bodyText - Texto principal da mensagem
+   * @param {Array} buttons - Botões [{id, title}] (títulos com até 20 caracteres)
+   * @param {Object} options - Cabeçalho e rodapé opcionais {header, footer}
+   * @returns {Promise} - Resultado da requisição ({success: false, invalid: true} se os dados forem inválidos)
+   */
+  async sendInteractiveButtons(to, bodyText, buttons, options = {}) {
+    if (!bodyText || !Array.isArray(buttons) || buttons.length === 0) {
+      return { success: false, invalid: true, error: 'O texto e ao menos um botão são obrigatórios' };
+    }
+    
+    if (buttons.length > INTERACTIVE_LIMITS.maxButtons) {
+      return { success: false, invalid: true, error: `São permitidos no máximo ${INTERACTIVE_LIMITS.maxButtons} botões` };
+    }
+    
+    if (buttons.some(button => !button.id || !button.title)) {
+      return { success: false, invalid: true, error: 'Todos os botões precisam de "id" e "title"' };
+    }
+    
+    return this.sendInteractiveMessage(to, {
+      type: 'button',
+      ...this.buildInteractiveText(bodyText, options),
+      action: {
+        buttons: buttons.map(button => ({
+          type: 'reply',
+          reply: {
+            id: String(button.id),
+            title: truncate(button.title, INTERACTIVE_LIMITS.buttonTitle)
+          }
+        }))
+      }
+    });
+  }
+
+  /**
+   * Envia uma mensagem com um menu de lista
+   * @param {string} to - Número de telefone de destino no formato internacional
+   * @param {string} bodyText - Texto principal da mensagem
+   * @param {string} buttonText - Texto do botão que abre a lista (até 20 caracteres)
+   * @param {Array} sections - Seções [{title, rows: [{id, title, description}]}] com até 10 linhas no total
+   * @param {Object} options - Cabeçalho e rodapé opcionais {header, footer}
+   * @returns {Promise} - Resultado da requisição ({success: false, invalid: true} se os dados forem inválidos)
+   */
+  async sendInteractiveList(to, bodyText, buttonText, sections, options = {}) {
+    if (!bodyText || !buttonText || !Array.isArray(sections) || sections.length === 0) {
+      return { success: false, invalid: true, error: 'O texto, o texto do botão e ao menos uma seção são obrigatórios' };
+    }
+    
+    const rows = sections.flatMap(section => section.rows || []);
+    
+    if (rows.length === 0 || rows.length > INTERACTIVE_LIMITS.maxRows) {
+      return { success: false, invalid: true, error: `A lista deve ter entre 1 e ${INTERACTIVE_LIMITS.maxRows} itens` };
+    }
+    
+    if (rows.some(row => !row.id || !row.title)) {
+      return { success: false, invalid: true, error: 'Todos os itens da lista precisam de "id" e "title"' };
+    }
+    
+    return this.sendInteractiveMessage(to, {
+      type: 'list',
+      ...this.buildInteractiveText(bodyText, options),
+      action: {
+        button: truncate(buttonText, INTERACTIVE_LIMITS.listButton),
+        sections: sections.map(section => ({
+          ...(section.title && { title: truncate(section.title, INTERACTIVE_LIMITS.rowTitle) }),
+          rows: (section.rows || []).map(row => ({
+            id: String(row.id),
+            title: truncate(row.title, INTERACTIVE_LIMITS.rowTitle),
+            ...(row.description && { description: truncate(row.description, INTERACTIVE_LIMITS.rowDescription) })
+          }))
+        }))
+      }
+    });
+  }
+
   /**
    * Tenta enviar mensagem de texto e, se falhar devido ao limite de 24h, tenta enviar um template
    * @param {string} to - Número de telefone de destino
    * @param {string} text - Texto da mensagem
    * @param {string} fallbackTemplate - Nome do template para fallback
+   * @param {Object} requestOptions - Opções do cliente HTTP ({retry: false} desativa as novas tentativas)
    * @returns {Promise} - Resultado da requisição
    */
-  async sendMessageWithFallback(to, text, fallbackTemplate = 'hello_world') {
-    const result = await this.sendTextMessage(to, text);
+  async sendMessageWithFallback(to, text, fallbackTemplate = 'hello_world', requestOptions = {}) {
+    const result = await this.sendTextMessage(to, text, requestOptions);
     
     // Se a mensagem falhou devido ao limite de 24h (código 131047), tenta com template
     if (!result.success && 
         result.error?.error?.code === 131047) {
       console.log('Erro de limite de 24h detectado, tentando com template...');
-      return this.sendTemplateMessage(to, fallbackTemplate);
+      return this.sendTemplateMessage(to, fallbackTemplate, 'pt_BR', [], requestOptions);
     }
     
     return result;
   }
 
+  /**
+   * Envia uma resposta em Markdown (normalmente gerada pela IA) convertida para a formatação
+   * do WhatsApp e dividida em partes que respeitam o limite de caracteres
+   * As partes são enviadas em sequência; o fallback de template só é aplicado à primeira parte
+   * @param {string} to - Número de telefone de destino
+   * @param {string} text - Texto em Markdown
+   * @param {string} fallbackTemplate - Nome do template para fallback
+   * @param {Object} options - Opções do envio
+   * @param {number} options.startAt - Índice da primeira parte a enviar, para retomar um envio interrompido (padrão: 0)
+   * @param {string|boolean} options.retry - Política de novas tentativas do cliente HTTP (false desativa)
+   * @returns {Promise} - Resultado {success, parts, sentParts, messageIds} ou o erro da parte que falhou
+   */
+  async sendFormattedMessage(to, text, fallbackTemplate = 'hello_world', { startAt = 0, retry } = {}) {
+    const parts = splitMessage(formatForWhatsApp(text), config.whatsapp.maxMessageLength);
+    const messageIds = [];
+    
+    if (parts.length > 1) {
+      console.log(`✂️ Resposta dividida em ${parts.length} partes para ${to}`);
+    }
+    
+    for (let i = startAt; i < parts.length; i++) {
+      const result = i === 0
+        ? await this.sendMessageWithFallback(to, parts[i], fallbackTemplate, { retry })
+        : await this.sendTextMessage(to, parts[i], { retry });
+      
+      if (!result.success) {
+        return {
+          ...result,
+          parts: parts.length,
+          sentParts: i,
+          messageIds
+        };
+      }
+      
+      messageIds.push(result.messageId);
+    }
+    
+    return {
+      success: true,
+      parts: parts.length,
+      sentParts: parts.length,
+      messageIds,
+      messageId: messageIds[0]
+    };
+  }
+
   /**
    * Valida um webhook do WhatsApp
    * @param {string} mode - Modo de verificação
@@ -202,6 +520,208 @@ class WhatsAppService {
     return mode === 'subscribe' && token === config.whatsapp.verifyToken;
   }
 
+  /**
+   * Verifica a assinatura X-Hub-Signature-256 enviada pela Meta no webhook
+   * @param {Buffer} rawBody - Corpo bruto da requisição
+   * @param {string} signatureHeader - Valor do header X-Hub-Signature-256 (sha256=<hex>)
+   * @returns {boolean} - Se a assinatura é válida
+   */
+  verifySignature(rawBody, signatureHeader) {
+    const appSecret = config.whatsapp.appSecret;
+    
+    if (!appSecret) {
+      console.error('WHATSAPP_APP_SECRET não configurado, não é possível verificar a assinatura do webhook');
+      return false;
+    }
+    
+    if (!rawBody || !signatureHeader || !signatureHeader.startsWith('sha256=')) {
+      return false;
+    }
+    
+    const expected = crypto
+      .createHmac('sha256', appSecret)
+      .update(rawBody)
+      .digest('hex');
+    
+    const received = signatureHeader.slice('sha256='.length);
+    const expectedBuffer = Buffer.from(expected, 'hex');
+    const receivedBuffer = Buffer.from(received, 'hex');
+    
+    if (expectedBuffer.length !== receivedBuffer.length) {
+      return false;
+    }
+    
+    return crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+  }
+
+  /**
+   * Converte uma mensagem recebida pelo webhook no formato normalizado da aplicação
+   * @param {Object} message - Mensagem enviada pelo WhatsApp
+   * @returns {Object|null} - Mensagem {from, id, timestamp, type, ...} ou null se o tipo não for suportado
+   */
+  parseMessage(message) {
+    const isMedia = MEDIA_TYPES.includes(message.type);
+    
+    if (!['text', 'location', 'interactive'].includes(message.type) && !isMedia) {
+      console.log(`Mensagem do tipo "${message.type}" ignorada`);
+      return null;
+    }
+    
+    const originalFrom = message.from;
+    const normalizedFrom = this.normalizePhoneNumber(originalFrom);
+    console.log(`Número original: ${originalFrom}, Normalizado: ${normalizedFrom}`);
+    
+    const parsed = {
+      from: normalizedFrom,
+      id: message.id,
+      timestamp: message.timestamp,
+      type: message.type
+    };
+    
+    if (message.type === 'text') {
+      parsed.text = message.text.body;
+    } else if (message.type === 'location') {
+      parsed.location = this.parseLocation(message.location);
+    } else if (message.type === 'interactive') {
+      parsed.interactive = this.parseInteractive(message.interactive);
+      
+      if (!parsed.interactive) {
+        console.log(`Resposta interativa do tipo "${message.interactive?.type}" ignorada`);
+        return null;
+      }
+      
+      // O título escolhido também é disponibilizado como texto
+      parsed.text = parsed.interactive.title;
+    } else {
+      parsed.media = this.parseMedia(message[message.type]);
+    }
+    
+    return parsed;
+  }
+
+  /**
+   * Extrai a opção escolhida em uma mensagem interativa (botão ou item de lista)
+   * @param {Object} interactive - Objeto interactive enviado pelo WhatsApp
+   * @returns {Object|null} - Resposta {type, id, title, description} ou null se o tipo não for suportado
+   */
+  parseInteractive(interactive = {}) {
+    const reply = interactive[interactive.type];
+    
+    if (!['button_reply', 'list_reply'].includes(interactive.type) || !reply) {
+      return null;
+    }
+    
+    return {
+      type: interactive.type,
+      id: reply.id,
+      title: reply.title,
+      description: reply.description || null
+    };
+  }
+
+  /**
+   * Extrai os dados de uma mídia (imagem, áudio, vídeo, documento ou figurinha) recebida pelo webhook
+   * @param {Object} media - Objeto da mídia enviado pelo WhatsApp
+   * @returns {Object} - Mídia {id, mimeType, sha256, caption, filename, voice, animated}
+   */
+  parseMedia(media = {}) {
+    return {
+      id: media.id,
+      mimeType: media.mime_type || null,
+      sha256: media.sha256 || null,
+      caption: media.caption || null,
+      filename: media.filename || null,
+      voice: Boolean(media.voice),
+      animated: Boolean(media.animated)
+    };
+  }
+
+  /**
+   * Baixa uma mídia recebida através do endpoint de mídia da Graph API
+   * @param {string} mediaId - ID da mídia
+   * @param {number} maxBytes - Tamanho máximo aceito em bytes
+   * @returns {Promise<Object>} - {success, buffer, mimeType, size} ou {success: false, error}
+   */
+  async downloadMedia(mediaId, maxBytes) {
+    try {
+      // Obter a URL temporária da mídia
+      const metadata = await this.http.request({
+        method: 'GET',
+        url: `${this.baseUrl}/${mediaId}`,
+        headers: {
+          'Authorization': `Bearer ${this.token}`
+        }
+      });
+      
+      const { url, mime_type: mimeType, file_size: fileSize } = metadata.data;
+      
+      if (maxBytes && fileSize > maxBytes) {
+        return { success: false, error: `Mídia excede o tamanho máximo (${fileSize} bytes)` };
+      }
+      
+      // A URL também exige o token de acesso
+      const response = await this.http.request({
+        method: 'GET',
+        url,
+        headers: {
+          'Authorization': `Bearer ${this.token}`
+        },
+        responseType: 'arraybuffer',
+        maxContentLength: maxBytes || undefined
+      });
+      
+      const buffer = Buffer.from(response.data);
+      console.log(`📥 Mídia ${mediaId} baixada (${mimeType}, ${buffer.length} bytes)`);
+      
+      return {
+        success: true,
+        buffer,
+        mimeType,
+        size: buffer.length
+      };
+    } catch (error) {
+      console.error(`❌ Erro ao baixar mídia ${mediaId}:`, error.response?.data || error.message);
+      return {
+        success: false,
+        error: error.response?.data || error.message
+      };
+    }
+  }
+
+  /**
+   * Extrai os dados de uma mensagem de localização recebida pelo webhook
+   * @param {Object} location - Objeto location enviado pelo WhatsApp
+   * @returns {Object} - Localização {latitude, longitude, name, address}
+   */
+  parseLocation(location = {}) {
+    return {
+      latitude: parseFloat(location.latitude),
+      longitude: parseFloat(location.longitude),
+      name: location.name || null,
+      address: location.address || null
+    };
+  }
+
+  /**
+   * Extrai os dados de um evento de status recebido pelo webhook
+   * @param {Object} status - Objeto status enviado pelo WhatsApp
+   * @returns {Object} - Status {messageId, recipientId, status, timestamp, errors}
+   */
+  parseStatus(status) {
+    return {
+      messageId: status.id,
+      recipientId: status.recipient_id,
+      status: status.status,
+      timestamp: status.timestamp,
+      errors: (status.errors || []).map(error => ({
+        code: error.code,
+        title: error.title,
+        message: error.message,
+        details: error.error_data?.details
+      }))
+    };
+  }
+
   /**
    * Processa uma mensagem recebida do webhook
    * @param {Object} body - Corpo da requisição do webhook
@@ -216,6 +736,7 @@ class WhatsAppService {
       // Extrair dados da mensagem
       const entries = body.entry || [];
       const messages = [];
+      const statuses = [];
 
       for (const entry of entries) {
         const changes = entry.changes || [];
@@ -226,27 +747,22 @@ class WhatsAppService {
           const value = change.value || {};
           const messageList = value.messages || [];
           
+          // Eventos de status das mensagens enviadas (sent/delivered/read/failed)
+          for (const status of value.statuses || []) {
+            statuses.push(this.parseStatus(status));
+          }
+          
           for (const message of messageList) {
-            if (message.type === 'text') {
-              const originalFrom = message.from;
-              const normalizedFrom = this.normalizePhoneNumber(originalFrom);
-              console.log(`Número original: ${originalFrom}, Normalizado: ${normalizedFrom}`);
-              
-              messages.push({
-                from: normalizedFrom,
-                id: message.id,
-                timestamp: message.timestamp,
-                text: message.text.body,
-                type: 'text'
-              });
-            }
+            const parsed = this.parseMessage(message);
+            if (parsed) messages.push(parsed);
           }
         }
       }
 
       return {
         success: true,
-        messages
+        messages,
+        statuses
       };
     } catch (error) {
       console.error('Erro ao processar webhook:', error);
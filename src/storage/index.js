@@ -0,0 +1,31 @@
+const path = require('path');
+const config = require('../config');
+const MemoryStore = require('./memoryStore');
+const JsonFileStore = require('./jsonFileStore');
+const JsonDirectoryStore = require('./jsonDirectoryStore');
+
+/**
+ * Cria um armazenamento chave-valor a partir do driver configurado
+ * @param {string} driver - Driver de armazenamento ('memory', 'file' ou 'directory')
+ * @param {string} name - Nome da coleção (usado como nome do arquivo ou diretório)
+ * @returns {MemoryStore|JsonFileStore|JsonDirectoryStore} - Instância do armazenamento
+ */
+function createStore(driver, name) {
+  switch (driver) {
+    case 'memory':
+      return new MemoryStore();
+    case 'file':
+      return new JsonFileStore(path.join(config.storage.dataDir, `${name}.json`));
+    case 'directory':
+      return new JsonDirectoryStore(path.join(config.storage.dataDir, name));
+    default:
+      throw new Error(`Driver de armazenamento desconhecido: ${driver}`);
+  }
+}
+
+module.exports = {
+  createStore,
+  MemoryStore,
+  JsonFileStore,
+  JsonDirectoryStore
+};
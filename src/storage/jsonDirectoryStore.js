@@ -0,0 +1,77 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Armazenamento chave-valor com um arquivo JSON por chave
+ * Sempre lê do disco, permitindo que várias instâncias compartilhem o mesmo diretório
+ */
+class JsonDirectoryStore {
+  /**
+   * @param {string} dirPath - Diretório onde os arquivos são gravados
+   */
+  constructor(dirPath) {
+    this.dirPath = dirPath;
+    fs.mkdirSync(this.dirPath, { recursive: true });
+  }
+
+  /**
+   * Obtém o caminho do arquivo de uma chave
+   * @param {string} key - Chave do registro
+   * @returns {string} - Caminho do arquivo
+   */
+  filePathFor(key) {
+    return path.join(this.dirPath, `${encodeURIComponent(key)}.json`);
+  }
+
+  get(key) {
+    const filePath = this.filePathFor(key);
+
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return undefined;
+
+      // Registro corrompido: é renomeado (para análise) e tratado como inexistente
+      if (error instanceof SyntaxError) {
+        const corruptPath = `${filePath}.corrupt-${Date.now()}`;
+        console.error(`Registro ${key} inválido em ${this.dirPath} (${error.message}); arquivo movido para ${corruptPath}`);
+        fs.renameSync(filePath, corruptPath);
+        return undefined;
+      }
+
+      console.error(`Erro ao ler o registro ${key} de ${this.dirPath}:`, error.message);
+      throw error;
+    }
+  }
+
+  set(key, value) {
+    // Grava de forma atômica (arquivo temporário + rename)
+    const filePath = this.filePathFor(key);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(value, null, 2));
+    fs.renameSync(tempPath, filePath);
+    return true;
+  }
+
+  has(key) {
+    return fs.existsSync(this.filePathFor(key));
+  }
+
+  delete(key) {
+    try {
+      fs.unlinkSync(this.filePathFor(key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  keys() {
+    return fs.readdirSync(this.dirPath)
+      .filter(file => file.endsWith('.json'))
+      .map(file => decodeURIComponent(file.slice(0, -'.json'.length)));
+  }
+}
+
+module.exports = JsonDirectoryStore;
@@ -0,0 +1,125 @@
+const fs = require('fs');
+const path = require('path');
+const MemoryStore = require('./memoryStore');
+
+// Armazenamentos com gravações pendentes, gravados de forma síncrona no encerramento do processo
+const openStores = new Set();
+
+process.on('exit', () => {
+  for (const store of openStores) {
+    if (store.dirty || store.writing) store.persistSync();
+  }
+});
+
+/**
+ * Armazenamento chave-valor persistido em um arquivo JSON
+ * Mantém os dados em memória; as alterações de um mesmo ciclo do event loop são agrupadas
+ * em uma única gravação assíncrona do arquivo inteiro. Indicado para coleções pequenas
+ * (catálogo, índices); para dados por usuário, prefira o driver 'directory'
+ */
+class JsonFileStore extends MemoryStore {
+  /**
+   * @param {string} filePath - Caminho do arquivo JSON
+   */
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+
+    // Há alterações ainda não gravadas / há uma gravação em andamento
+    this.dirty = false;
+    this.writing = false;
+
+    this.load();
+    openStores.add(this);
+  }
+
+  /**
+   * Carrega os dados do arquivo, se existir
+   * Um arquivo corrompido é renomeado (para análise) e o armazenamento começa vazio,
+   * para que a aplicação continue inicializando
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    try {
+      const content = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.data = new Map(Object.entries(content));
+      console.log(`💾 ${this.data.size} registro(s) carregado(s) de ${this.filePath}`);
+    } catch (error) {
+      const corruptPath = `${this.filePath}.corrupt-${Date.now()}`;
+      console.error(`Erro ao carregar o arquivo ${this.filePath} (${error.message}); arquivo movido para ${corruptPath} e armazenamento iniciado vazio`);
+
+      try {
+        fs.renameSync(this.filePath, corruptPath);
+      } catch (renameError) {
+        console.error(`Não foi possível mover o arquivo ${this.filePath}:`, renameError.message);
+      }
+
+      this.data = new Map();
+    }
+  }
+
+  /**
+   * Agenda a gravação do arquivo, agrupando as alterações feitas até lá
+   */
+  schedulePersist() {
+    this.dirty = true;
+
+    // A gravação em andamento grava novamente ao terminar, se houver alterações
+    if (this.writing) return;
+
+    this.writing = true;
+    setImmediate(() => this.flush());
+  }
+
+  /**
+   * Grava os dados no arquivo de forma assíncrona e atômica (arquivo temporário + rename)
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    const tempPath = `${this.filePath}.tmp`;
+
+    try {
+      while (this.dirty) {
+        this.dirty = false;
+        const content = JSON.stringify(Object.fromEntries(this.data));
+
+        try {
+          await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+          await fs.promises.writeFile(tempPath, content);
+          await fs.promises.rename(tempPath, this.filePath);
+        } catch (error) {
+          console.error(`Erro ao gravar o arquivo ${this.filePath}:`, error.message);
+        }
+      }
+    } finally {
+      this.writing = false;
+    }
+  }
+
+  /**
+   * Grava os dados no arquivo de forma síncrona e atômica (usado no encerramento do processo)
+   */
+  persistSync() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(Object.fromEntries(this.data)));
+    fs.renameSync(tempPath, this.filePath);
+    this.dirty = false;
+  }
+
+  set(key, value) {
+    super.set(key, value);
+    this.schedulePersist();
+    return true;
+  }
+
+  delete(key) {
+    const deleted = super.delete(key);
+    if (deleted) this.schedulePersist();
+    return deleted;
+  }
+}
+
+module.exports = JsonFileStore;
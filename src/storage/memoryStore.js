@@ -0,0 +1,58 @@
+/**
+ * Armazenamento chave-valor em memória
+ * Os dados são perdidos quando o processo é reiniciado
+ */
+class MemoryStore {
+  constructor() {
+    this.data = new Map();
+  }
+
+  /**
+   * Obtém um valor pela chave
+   * @param {string} key - Chave do registro
+   * @returns {*} - Cópia do valor armazenado ou undefined se não existir
+   */
+  get(key) {
+    const value = this.data.get(key);
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  }
+
+  /**
+   * Armazena um valor
+   * @param {string} key - Chave do registro
+   * @param {*} value - Valor serializável em JSON
+   * @returns {boolean} - Sucesso da operação
+   */
+  set(key, value) {
+    this.data.set(key, JSON.parse(JSON.stringify(value)));
+    return true;
+  }
+
+  /**
+   * Verifica se uma chave existe
+   * @param {string} key - Chave do registro
+   * @returns {boolean} - Se a chave existe
+   */
+  has(key) {
+    return this.data.has(key);
+  }
+
+  /**
+   * Remove um valor
+   * @param {string} key - Chave do registro
+   * @returns {boolean} - Se algum registro foi removido
+   */
+  delete(key) {
+    return this.data.delete(key);
+  }
+
+  /**
+   * Lista todas as chaves armazenadas
+   * @returns {Array<string>} - Chaves
+   */
+  keys() {
+    return [...this.data.keys()];
+  }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,69 @@
+/**
+ * Limitador de concorrência: executa no máximo N tarefas ao mesmo tempo
+ * As demais aguardam em uma fila, na ordem de chegada
+ */
+class ConcurrencyLimiter {
+  /**
+   * @param {number} maxConcurrent - Número máximo de tarefas simultâneas
+   */
+  constructor(maxConcurrent) {
+    this.maxConcurrent = Math.max(1, maxConcurrent || 1);
+    this.active = 0;
+    this.queue = [];
+  }
+
+  /**
+   * Executa uma tarefa assim que houver uma vaga
+   * @param {Function} task - Função assíncrona a ser executada
+   * @returns {Promise<*>} - Resultado da tarefa
+   */
+  async run(task) {
+    await this.acquire();
+
+    try {
+      return await task();
+    } finally {
+      this.release();
+    }
+  }
+
+  /**
+   * Ocupa uma vaga, aguardando na fila se todas estiverem ocupadas
+   * @returns {Promise<void>}
+   */
+  acquire() {
+    if (this.active < this.maxConcurrent) {
+      this.active++;
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => this.queue.push(resolve));
+  }
+
+  /**
+   * Libera uma vaga, repassando-a diretamente à próxima tarefa da fila
+   */
+  release() {
+    const next = this.queue.shift();
+
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+
+  /**
+   * Obtém o estado atual do limitador
+   * @returns {Object} - {maxConcurrent, active, queued}
+   */
+  getState() {
+    return {
+      maxConcurrent: this.maxConcurrent,
+      active: this.active,
+      queued: this.queue.length
+    };
+  }
+}
+
+module.exports = ConcurrencyLimiter;
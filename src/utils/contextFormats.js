@@ -0,0 +1,225 @@
+/**
+ * Conversão do catálogo de contextos de/para GeoJSON e CSV
+ * Usado na importação e exportação em lote de pontos de interesse
+ */
+
+// Campos de contexto mapeados nas propriedades GeoJSON e nas colunas CSV
+const CONTEXT_FIELDS = [
+  'name',
+  'description',
+  'info',
+  'services',
+  'events',
+  'history',
+  'operatingHours',
+  'triggerRadius',
+  'systemPrompt',
+  'imageUrl',
+  'expiresAt'
+];
+
+// Ordem das colunas no CSV exportado
+const CSV_COLUMNS = ['id', 'name', 'description', 'latitude', 'longitude', ...CONTEXT_FIELDS.slice(2)];
+
+// Separador dos itens da lista de serviços dentro de uma célula CSV
+const SERVICES_SEPARATOR = ';';
+
+/**
+ * Converte os valores brutos de uma linha/feature em dados de contexto
+ * @param {Object} raw - Propriedades da feature ou colunas da linha
+ * @returns {Object} - Dados do contexto (sem localização)
+ */
+function toContextData(raw) {
+  const contextData = {};
+
+  for (const field of CONTEXT_FIELDS) {
+    const value = raw[field];
+    if (value === undefined || value === null || value === '') continue;
+
+    if (field === 'services') {
+      contextData.services = Array.isArray(value)
+        ? value
+        : String(value).split(SERVICES_SEPARATOR).map(item => item.trim()).filter(Boolean);
+    } else if (field === 'triggerRadius') {
+      contextData.triggerRadius = Number(value);
+    } else {
+      contextData[field] = String(value);
+    }
+  }
+
+  return contextData;
+}
+
+/**
+ * Converte uma FeatureCollection GeoJSON em registros de importação
+ * @param {Object} collection - FeatureCollection com geometrias do tipo Point
+ * @returns {Array} - Registros {row, id, contextData}
+ */
+function parseGeoJSON(collection) {
+  if (!collection || collection.type !== 'FeatureCollection' || !Array.isArray(collection.features)) {
+    throw new Error('O corpo deve ser uma FeatureCollection GeoJSON válida');
+  }
+
+  return collection.features.map((feature, index) => {
+    const properties = feature.properties || {};
+    const contextData = toContextData(properties);
+
+    if (feature.geometry) {
+      if (feature.geometry.type !== 'Point' || !Array.isArray(feature.geometry.coordinates)) {
+        return { row: index + 1, id: feature.id || properties.id, contextData, error: 'Apenas geometrias do tipo Point são suportadas' };
+      }
+
+      // GeoJSON usa a ordem [longitude, latitude]
+      const [longitude, latitude] = feature.geometry.coordinates;
+      contextData.location = { latitude: Number(latitude), longitude: Number(longitude) };
+    }
+
+    return { row: index + 1, id: feature.id || properties.id, contextData };
+  });
+}
+
+/**
+ * Divide um texto CSV em linhas e células, respeitando aspas duplas
+ * @param {string} text - Conteúdo CSV
+ * @returns {Array<Array<string>>} - Linhas com suas células
+ */
+function splitCSV(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Ignora linhas em branco
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Converte um CSV com cabeçalho em registros de importação
+ * @param {string} text - Conteúdo CSV (colunas: id, name, latitude, longitude, ...)
+ * @returns {Array} - Registros {row, id, contextData}
+ */
+function parseCSV(text) {
+  const [header, ...lines] = splitCSV(text || '');
+
+  if (!header) {
+    throw new Error('O CSV está vazio');
+  }
+
+  const columns = header.map(column => column.trim());
+
+  return lines.map((cells, index) => {
+    const raw = {};
+    columns.forEach((column, position) => {
+      raw[column] = (cells[position] || '').trim();
+    });
+
+    const contextData = toContextData(raw);
+
+    if (raw.latitude || raw.longitude) {
+      contextData.location = { latitude: Number(raw.latitude), longitude: Number(raw.longitude) };
+    }
+
+    // Linha 1 é o cabeçalho
+    return { row: index + 2, id: raw.id, contextData };
+  });
+}
+
+/**
+ * Gera uma FeatureCollection GeoJSON a partir dos contextos
+ * @param {Array} contexts - Contextos completos {id, ...dados}
+ * @returns {Object} - FeatureCollection
+ */
+function toGeoJSON(contexts) {
+  return {
+    type: 'FeatureCollection',
+    features: contexts.map(context => {
+      const properties = { id: context.id };
+      for (const field of CONTEXT_FIELDS) {
+        if (context[field] !== undefined) properties[field] = context[field];
+      }
+
+      return {
+        type: 'Feature',
+        id: context.id,
+        geometry: context.location
+          ? { type: 'Point', coordinates: [context.location.longitude, context.location.latitude] }
+          : null,
+        properties
+      };
+    })
+  };
+}
+
+/**
+ * Escapa um valor para uma célula CSV
+ * @param {*} value - Valor da célula
+ * @returns {string} - Valor escapado
+ */
+function escapeCSV(value) {
+  if (value === undefined || value === null) return '';
+
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Gera um CSV a partir dos contextos
+ * @param {Array} contexts - Contextos completos {id, ...dados}
+ * @returns {string} - Conteúdo CSV com cabeçalho
+ */
+function toCSV(contexts) {
+  const lines = [CSV_COLUMNS.join(',')];
+
+  for (const context of contexts) {
+    const values = CSV_COLUMNS.map(column => {
+      if (column === 'latitude') return context.location?.latitude;
+      if (column === 'longitude') return context.location?.longitude;
+      if (column === 'services') return (context.services || []).join(SERVICES_SEPARATOR);
+      return context[column];
+    });
+
+    lines.push(values.map(escapeCSV).join(','));
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  parseGeoJSON,
+  parseCSV,
+  toGeoJSON,
+  toCSV
+};
@@ -0,0 +1,71 @@
+/**
+ * Funções geográficas para trabalhar com polígonos GeoJSON
+ * Coordenadas GeoJSON seguem a ordem [longitude, latitude]
+ */
+
+/**
+ * Verifica se um ponto está dentro de um anel (ray casting)
+ * @param {number} longitude - Longitude do ponto
+ * @param {number} latitude - Latitude do ponto
+ * @param {Array} ring - Anel do polígono [[lng, lat], ...]
+ * @returns {boolean} - Se o ponto está dentro do anel
+ */
+function pointInRing(longitude, latitude, ring) {
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+
+    const intersects = (yi > latitude) !== (yj > latitude) &&
+      longitude < (xj - xi) * (latitude - yi) / (yj - yi) + xi;
+
+    if (intersects) inside = !inside;
+  }
+
+  return inside;
+}
+
+/**
+ * Verifica se um ponto está dentro de um polígono, considerando os buracos
+ * @param {number} longitude - Longitude do ponto
+ * @param {number} latitude - Latitude do ponto
+ * @param {Array} polygon - Coordenadas de um Polygon GeoJSON (anel externo seguido dos buracos)
+ * @returns {boolean} - Se o ponto está dentro do polígono
+ */
+function pointInPolygon(longitude, latitude, polygon) {
+  const [outerRing, ...holes] = polygon;
+
+  if (!outerRing || !pointInRing(longitude, latitude, outerRing)) return false;
+
+  return !holes.some(hole => pointInRing(longitude, latitude, hole));
+}
+
+/**
+ * Extrai a lista de polígonos de um objeto GeoJSON
+ * Aceita FeatureCollection, Feature, Polygon e MultiPolygon
+ * @param {Object} geojson - Objeto GeoJSON
+ * @returns {Array} - Lista de coordenadas de polígonos
+ */
+function extractPolygons(geojson) {
+  if (!geojson) return [];
+
+  switch (geojson.type) {
+    case 'FeatureCollection':
+      return (geojson.features || []).flatMap(extractPolygons);
+    case 'Feature':
+      return extractPolygons(geojson.geometry);
+    case 'Polygon':
+      return [geojson.coordinates];
+    case 'MultiPolygon':
+      return geojson.coordinates;
+    default:
+      throw new Error(`Tipo GeoJSON não suportado para área de atendimento: ${geojson.type}`);
+  }
+}
+
+module.exports = {
+  pointInRing,
+  pointInPolygon,
+  extractPolygons
+};
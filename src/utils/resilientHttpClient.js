@@ -0,0 +1,256 @@
+const axios = require('axios');
+
+// Métodos que podem ser repetidos sem efeitos colaterais
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+// Erros de rede em que a requisição não chegou ao servidor (conexão não estabelecida)
+const UNSENT_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+/**
+ * Cliente HTTP com timeout, novas tentativas com backoff exponencial e circuit breaker
+ * Compartilhado pelas chamadas ao Groq e à Graph API do WhatsApp
+ */
+class ResilientHttpClient {
+  /**
+   * @param {string} name - Nome do serviço externo (usado em logs e no health check)
+   * @param {Object} options - Opções de resiliência
+   * @param {number} options.timeout - Timeout por tentativa em ms
+   * @param {number} options.maxRetries - Número máximo de novas tentativas
+   * @param {number} options.baseDelay - Atraso inicial do backoff em ms
+   * @param {number} options.maxDelay - Atraso máximo entre tentativas em ms
+   * @param {number} options.failureThreshold - Falhas consecutivas para abrir o circuito
+   * @param {number} options.resetTimeout - Tempo em ms até testar novamente um circuito aberto
+   * @param {Object} options.limiter - Limitador de concorrência (opcional). A vaga é ocupada apenas durante
+   * cada tentativa e liberada durante as esperas entre tentativas
+   */
+  constructor(name, options) {
+    this.name = name;
+    this.timeout = options.timeout;
+    this.maxRetries = options.maxRetries;
+    this.baseDelay = options.baseDelay;
+    this.maxDelay = options.maxDelay;
+    this.failureThreshold = options.failureThreshold;
+    this.resetTimeout = options.resetTimeout;
+    this.limiter = options.limiter || null;
+
+    // Estado do circuit breaker: 'closed', 'open' ou 'half-open'
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+
+    // No estado meio-aberto, apenas uma requisição de teste é permitida por vez
+    this.probeInFlight = false;
+  }
+
+  /**
+   * Executa uma requisição HTTP aplicando timeout, retry e circuit breaker
+   * @param {Object} requestConfig - Configuração da requisição no formato do axios
+   * @param {Object} options - Opções da chamada
+   * @param {string|boolean|Function} options.retry - Política de novas tentativas: 'always' (falhas transitórias),
+   * 'unsent' (apenas quando a requisição não chegou a ser processada pelo servidor), false ou uma
+   * função que recebe o erro transitório e indica se a requisição deve ser repetida.
+   * Padrão: 'always' para métodos idempotentes e 'unsent' para os demais (ex.: POST de envio de mensagem)
+   * @returns {Promise<Object>} - Resposta do axios
+   */
+  async request(requestConfig, options = {}) {
+    const method = (requestConfig.method || 'GET').toUpperCase();
+    const retry = options.retry ?? (IDEMPOTENT_METHODS.includes(method) ? 'always' : 'unsent');
+    const isProbe = this.checkCircuit();
+
+    let attempt = 0;
+
+    try {
+      while (true) {
+        try {
+          const response = await this.runAttempt(() => axios({ timeout: this.timeout, ...requestConfig }));
+          this.recordSuccess();
+          return response;
+        } catch (error) {
+          if (!this.isTransientError(error)) {
+            // Erros do cliente (4xx) não indicam indisponibilidade do serviço externo
+            if (this.state === 'half-open') this.recordSuccess();
+            throw error;
+          }
+
+          const delay = this.getRetryDelay(error, attempt);
+
+          if (!this.canRetry(error, retry) || attempt >= this.maxRetries || delay === null || isProbe) {
+            this.recordFailure(error);
+            throw error;
+          }
+
+          attempt++;
+          console.warn(`🔁 ${this.name}: falha na requisição (${this.describeError(error)}), nova tentativa ${attempt}/${this.maxRetries} em ${delay} ms`);
+          await new Promise(resolve => setTimeout(resolve, delay));
+        }
+      }
+    } finally {
+      if (isProbe) this.probeInFlight = false;
+    }
+  }
+
+  /**
+   * Executa uma tentativa, ocupando uma vaga do limitador de concorrência se houver
+   * @param {Function} task - Função que faz a chamada HTTP
+   * @returns {Promise<Object>} - Resposta do axios
+   */
+  runAttempt(task) {
+    return this.limiter ? this.limiter.run(task) : task();
+  }
+
+  /**
+   * Verifica se o circuito permite a requisição, lançando um erro se estiver aberto
+   * Passado o tempo de espera, apenas uma requisição de teste é liberada; as demais
+   * continuam recusadas até o resultado do teste
+   * @returns {boolean} - Se a requisição é a requisição de teste do circuito meio-aberto
+   */
+  checkCircuit() {
+    if (this.state === 'closed') return false;
+
+    if (!this.probeInFlight && Date.now() - this.openedAt >= this.resetTimeout) {
+      if (this.state === 'open') {
+        this.state = 'half-open';
+        console.log(`🟡 ${this.name}: circuito meio-aberto, testando o serviço`);
+      }
+
+      this.probeInFlight = true;
+      return true;
+    }
+
+    const error = new Error(`Circuito aberto para ${this.name}: serviço temporariamente indisponível`);
+    error.code = 'CIRCUIT_OPEN';
+    throw error;
+  }
+
+  /**
+   * Indica se um erro é transitório (o serviço externo pode estar indisponível)
+   * @param {Error} error - Erro do axios
+   * @returns {boolean} - Se o erro é transitório
+   */
+  isTransientError(error) {
+    // Sem resposta: timeout ou erro de rede
+    if (!error.response) return true;
+
+    const status = error.response.status;
+    return status === 429 || status >= 500;
+  }
+
+  /**
+   * Indica se uma falha transitória pode ser repetida conforme a política da chamada
+   * Na política 'unsent', só são repetidas falhas em que o servidor certamente não processou a
+   * requisição (conexão não estabelecida ou HTTP 429), para não duplicar envios após um timeout
+   * @param {Error} error - Erro do axios
+   * @param {string|boolean|Function} retry - Política de novas tentativas
+   * @returns {boolean} - Se a requisição pode ser repetida
+   */
+  canRetry(error, retry) {
+    if (typeof retry === 'function') return Boolean(retry(error));
+    if (retry === 'always') return true;
+    if (retry !== 'unsent') return false;
+
+    return this.isUnsentError(error);
+  }
+
+  /**
+   * Indica se a requisição certamente não foi processada pelo servidor (circuito aberto,
+   * conexão não estabelecida ou HTTP 429). Em timeouts e erros 5xx o resultado é incerto
+   * @param {Error} error - Erro do axios ou do circuit breaker
+   * @returns {boolean} - Se a requisição não foi processada
+   */
+  isUnsentError(error) {
+    if (error.code === 'CIRCUIT_OPEN') return true;
+    if (error.response) return error.response.status === 429;
+    return UNSENT_ERROR_CODES.includes(error.code);
+  }
+
+  /**
+   * Calcula o atraso até a próxima tentativa, respeitando o header Retry-After
+   * @param {Error} error - Erro do axios
+   * @param {number} attempt - Número da tentativa atual (começando em 0)
+   * @returns {number|null} - Atraso em ms ou null se o Retry-After exceder o atraso máximo
+   */
+  getRetryDelay(error, attempt) {
+    const retryAfter = error.response?.headers?.['retry-after'];
+
+    if (retryAfter !== undefined) {
+      const seconds = Number(retryAfter);
+      const delay = Number.isNaN(seconds)
+        ? Date.parse(retryAfter) - Date.now()
+        : seconds * 1000;
+
+      if (!Number.isNaN(delay)) {
+        return delay > this.maxDelay ? null : Math.max(delay, 0);
+      }
+    }
+
+    // Backoff exponencial com jitter
+    const exponential = this.baseDelay * 2 ** attempt;
+    return Math.min(exponential + Math.floor(Math.random() * this.baseDelay), this.maxDelay);
+  }
+
+  /**
+   * Registra uma requisição bem-sucedida e fecha o circuito
+   */
+  recordSuccess() {
+    if (this.state !== 'closed') {
+      console.log(`🟢 ${this.name}: circuito fechado, serviço restabelecido`);
+    }
+
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+  }
+
+  /**
+   * Registra uma falha e abre o circuito ao atingir o limite
+   * @param {Error} error - Erro que causou a falha
+   */
+  recordFailure(error) {
+    this.consecutiveFailures++;
+    this.lastError = {
+      message: this.describeError(error),
+      at: new Date().toISOString()
+    };
+
+    if (this.state === 'half-open' || this.consecutiveFailures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+      console.error(`🔴 ${this.name}: circuito aberto após ${this.consecutiveFailures} falha(s) consecutiva(s)`);
+    }
+  }
+
+  /**
+   * Descreve um erro de forma resumida para logs
+   * @param {Error} error - Erro do axios
+   * @returns {string} - Descrição do erro
+   */
+  describeError(error) {
+    return error.response ? `HTTP ${error.response.status}` : (error.code || error.message);
+  }
+
+  /**
+   * Indica se o circuito está aberto (requisições sendo recusadas)
+   * @returns {boolean} - Se o circuito está aberto
+   */
+  isOpen() {
+    if (this.state === 'closed') return false;
+    return this.probeInFlight || Date.now() - this.openedAt < this.resetTimeout;
+  }
+
+  /**
+   * Obtém o estado atual do circuit breaker
+   * @returns {Object} - Estado para exibição no health check
+   */
+  getState() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.openedAt ? new Date(this.openedAt + this.resetTimeout).toISOString() : null,
+      lastError: this.lastError
+    };
+  }
+}
+
+module.exports = ResilientHttpClient;
@@ -0,0 +1,44 @@
+/**
+ * Estimativa simples de tokens para controlar o tamanho do histórico
+ * Não depende do tokenizer do modelo: usa a média de ~4 caracteres por token
+ */
+
+// Média de caracteres por token em textos em português
+const CHARS_PER_TOKEN = 4;
+
+// Tokens extras por mensagem (papel e delimitadores do formato de chat)
+const MESSAGE_OVERHEAD = 4;
+
+/**
+ * Estima o número de tokens de um texto
+ * @param {string} text - Texto
+ * @returns {number} - Tokens estimados
+ */
+function estimateTokens(text) {
+  if (!text) return 0;
+  return Math.ceil(String(text).length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Estima o número de tokens de uma mensagem do histórico
+ * @param {Object} message - Mensagem {role, content}
+ * @returns {number} - Tokens estimados
+ */
+function estimateMessageTokens(message) {
+  return estimateTokens(message.content) + MESSAGE_OVERHEAD;
+}
+
+/**
+ * Estima o número de tokens de uma lista de mensagens
+ * @param {Array} messages - Mensagens
+ * @returns {number} - Tokens estimados
+ */
+function estimateHistoryTokens(messages) {
+  return messages.reduce((total, message) => total + estimateMessageTokens(message), 0);
+}
+
+module.exports = {
+  estimateTokens,
+  estimateMessageTokens,
+  estimateHistoryTokens
+};
@@ -0,0 +1,230 @@
+/**
+ * Adaptação das respostas da IA ao WhatsApp
+ * Converte Markdown na formatação do WhatsApp e divide textos longos
+ * respeitando o limite de caracteres do corpo das mensagens
+ */
+
+// Limite de caracteres do corpo de uma mensagem de texto no WhatsApp
+const WHATSAPP_MAX_LENGTH = 4096;
+
+// Marcadores temporários, para que o negrito gerado não seja confundido com itálico em Markdown
+const BOLD = '\u0001';
+const CODE = '\u0002';
+
+/**
+ * Converte uma linha de tabela Markdown em células
+ * @param {string} line - Linha no formato "| a | b |"
+ * @returns {Array<string>} - Células sem espaços nas bordas
+ */
+function splitTableRow(line) {
+  return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+}
+
+/**
+ * Converte uma tabela Markdown em uma lista: a primeira coluna em negrito
+ * e as demais rotuladas com o cabeçalho ("• *Marco Zero* — Entrada: Gratuita")
+ * @param {Array<string>} lines - Linhas da tabela
+ * @returns {Array<string>} - Linhas convertidas
+ */
+function convertTable(lines) {
+  const rows = lines
+    .filter(line => !/^\s*\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?\s*$/.test(line))
+    .map(splitTableRow);
+
+  if (rows.length < 2) {
+    return rows.map(cells => cells.join(' | '));
+  }
+
+  const [header, ...body] = rows;
+
+  return body.map(cells => {
+    const [first, ...rest] = cells;
+    const details = rest
+      .map((cell, index) => (cell ? `${header[index + 1] ? `${header[index + 1]}: ` : ''}${cell}` : ''))
+      .filter(Boolean)
+      .join(', ');
+
+    return `• ${BOLD}${first}${BOLD}${details ? ` — ${details}` : ''}`;
+  });
+}
+
+/**
+ * Converte a formatação em linha (negrito, itálico, tachado, links e imagens)
+ * @param {string} line - Linha de texto
+ * @returns {string} - Linha convertida
+ */
+function convertInline(line) {
+  const codes = [];
+
+  return line
+    // Protege trechos de código em linha
+    .replace(/`[^`\n]+`/g, match => {
+      codes.push(match);
+      return `${CODE}${codes.length - 1}${CODE}`;
+    })
+    // Imagens e links: o WhatsApp exibe a URL como link clicável
+    .replace(/!\[([^\]]*)\]\(([^)\s]+)[^)]*\)/g, (match, alt, url) => (alt ? `${alt}: ${url}` : url))
+    .replace(/\[([^\]]+)\]\(([^)\s]+)[^)]*\)/g, (match, text, url) => (text === url ? url : `${text} (${url})`))
+    // Negrito: **texto** ou __texto__
+    .replace(/\*\*(?!\s)(.+?)(?<!\s)\*\*/g, `${BOLD}$1${BOLD}`)
+    .replace(/__(?!\s)(.+?)(?<!\s)__/g, `${BOLD}$1${BOLD}`)
+    // Itálico: *texto*
+    .replace(/(^|[^\w*])\*(?!\s)([^*\n]+?)(?<!\s)\*(?!\w)/g, '$1_$2_')
+    // Tachado: ~~texto~~
+    .replace(/~~(?!\s)(.+?)(?<!\s)~~/g, '~$1~')
+    .replace(new RegExp(`${CODE}(\\d+)${CODE}`, 'g'), (match, index) => codes[Number(index)]);
+}
+
+/**
+ * Converte Markdown na formatação do WhatsApp
+ * (*negrito*, _itálico_, ~tachado~, listas com marcadores e blocos de código)
+ * @param {string} markdown - Texto em Markdown (normalmente a resposta da IA)
+ * @returns {string} - Texto formatado para o WhatsApp
+ */
+function formatForWhatsApp(markdown) {
+  const lines = String(markdown || '').replace(/\r\n/g, '\n').split('\n');
+  const output = [];
+  let table = [];
+  let inCodeBlock = false;
+
+  const flushTable = () => {
+    if (table.length > 0) {
+      output.push(...convertTable(table));
+      table = [];
+    }
+  };
+
+  for (const line of lines) {
+    // Blocos de código são mantidos sem alterações (o WhatsApp também usa ```)
+    if (/^\s*```/.test(line)) {
+      flushTable();
+      inCodeBlock = !inCodeBlock;
+      output.push('```');
+      continue;
+    }
+
+    if (inCodeBlock) {
+      output.push(line);
+      continue;
+    }
+
+    if (/^\s*\|.*\|\s*$/.test(line)) {
+      table.push(line);
+      continue;
+    }
+
+    flushTable();
+
+    // Títulos viram negrito
+    const heading = line.match(/^\s{0,3}#{1,6}\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      const title = heading[1].replace(/\*\*|__/g, '');
+      output.push(`${BOLD}${convertInline(title)}${BOLD}`);
+      continue;
+    }
+
+    // Linhas horizontais são removidas
+    if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      output.push('');
+      continue;
+    }
+
+    // Listas com marcadores
+    const bullet = line.match(/^(\s*)[-*+]\s+(.*)$/);
+    if (bullet) {
+      const indent = ' '.repeat(Math.floor(bullet[1].length / 2) * 2);
+      output.push(`${indent}• ${convertInline(bullet[2])}`);
+      continue;
+    }
+
+    output.push(convertInline(line));
+  }
+
+  flushTable();
+
+  return output
+    .join('\n')
+    .replace(new RegExp(BOLD, 'g'), '*')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Divide um trecho maior que o limite usando separadores cada vez menores
+ * (linhas, frases, palavras e, por fim, caracteres)
+ * @param {string} text - Trecho a ser dividido
+ * @param {number} maxLength - Tamanho máximo de cada parte
+ * @returns {Array<string>} - Partes
+ */
+function splitOversized(text, maxLength) {
+  const separators = [/\n/, /(?<=[.!?…])\s+/, /\s+/];
+
+  for (const separator of separators) {
+    const pieces = text.split(separator).filter(piece => piece.length > 0);
+    if (pieces.length > 1) {
+      const joiner = separator.source === '\\n' ? '\n' : ' ';
+      return packPieces(pieces, joiner, maxLength);
+    }
+  }
+
+  const parts = [];
+  for (let i = 0; i < text.length; i += maxLength) {
+    parts.push(text.slice(i, i + maxLength));
+  }
+  return parts;
+}
+
+/**
+ * Agrupa trechos em partes de até maxLength caracteres, na ordem original
+ * @param {Array<string>} pieces - Trechos
+ * @param {string} joiner - Separador usado ao juntar trechos na mesma parte
+ * @param {number} maxLength - Tamanho máximo de cada parte
+ * @returns {Array<string>} - Partes
+ */
+function packPieces(pieces, joiner, maxLength) {
+  const parts = [];
+  let current = '';
+
+  for (const piece of pieces) {
+    if (piece.length > maxLength) {
+      if (current) parts.push(current);
+      current = '';
+      parts.push(...splitOversized(piece, maxLength));
+      continue;
+    }
+
+    const candidate = current ? `${current}${joiner}${piece}` : piece;
+
+    if (candidate.length > maxLength) {
+      parts.push(current);
+      current = piece;
+    } else {
+      current = candidate;
+    }
+  }
+
+  if (current) parts.push(current);
+  return parts;
+}
+
+/**
+ * Divide um texto em partes que respeitam o limite do WhatsApp,
+ * preferindo quebrar entre parágrafos e, depois, entre frases
+ * @param {string} text - Texto completo
+ * @param {number} maxLength - Tamanho máximo de cada parte (padrão: 4096)
+ * @returns {Array<string>} - Partes, na ordem de envio
+ */
+function splitMessage(text, maxLength = WHATSAPP_MAX_LENGTH) {
+  const value = String(text || '').trim();
+  if (value.length <= maxLength) return value ? [value] : [];
+
+  return packPieces(value.split(/\n{2,}/), '\n\n', maxLength)
+    .map(part => part.trim())
+    .filter(Boolean);
+}
+
+module.exports = {
+  WHATSAPP_MAX_LENGTH,
+  formatForWhatsApp,
+  splitMessage
+};
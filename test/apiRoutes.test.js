@@ -0,0 +1,66 @@
+require('./setup');
+delete process.env.API_AUTH_DISABLED;
+process.env.API_KEYS = 'painel:admin:chave-admin,conteudo:content-editor:chave-editor,atendimento:agent:chave-agente,leitura:read-only:chave-leitura';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const whatsappService = require('../src/services/whatsappService');
+const apiRoutes = require('../src/routes/apiRoutes');
+
+whatsappService.sendMessageWithFallback = async () => ({ success: true, messageId: 'wamid.api' });
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', apiRoutes);
+
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+after(() => {
+  server.close();
+});
+
+const call = (method, path, key, body) => fetch(`${baseUrl}${path}`, {
+  method,
+  headers: { 'Content-Type': 'application/json', ...(key && { 'X-API-Key': key }) },
+  ...(body && { body: JSON.stringify(body) })
+});
+
+const message = { to: '5581999992001', message: 'Olá, aqui é a Prefeitura' };
+
+test('rotas exigem uma chave de API válida', async () => {
+  assert.strictEqual((await call('GET', '/conversations')).status, 401);
+  assert.strictEqual((await call('GET', '/conversations', 'chave-inexistente')).status, 401);
+});
+
+test('content-editor não envia mensagens nem acessa conversas e mídias dos usuários', async () => {
+  assert.strictEqual((await call('POST', '/send-message', 'chave-editor', message)).status, 403);
+  assert.strictEqual((await call('GET', '/conversations', 'chave-editor')).status, 403);
+  assert.strictEqual((await call('POST', '/conversations/5581999992001/takeover', 'chave-editor', {})).status, 403);
+  assert.strictEqual((await call('GET', '/media/qualquer', 'chave-editor')).status, 403);
+});
+
+test('agent acessa as rotas de atendimento e as consultas, mas não as rotas de admin', async () => {
+  const response = await call('POST', '/send-message', 'chave-agente', message);
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual((await response.json()).success, true);
+
+  assert.strictEqual((await call('GET', '/conversations', 'chave-agente')).status, 200);
+  assert.strictEqual((await call('GET', '/contexts', 'chave-agente')).status, 200);
+  assert.strictEqual((await call('GET', '/outbox', 'chave-agente')).status, 403);
+  assert.strictEqual((await call('POST', '/context', 'chave-agente', {})).status, 403);
+});
+
+test('admin acessa as rotas de atendimento e read-only não', async () => {
+  assert.strictEqual((await call('GET', '/conversations', 'chave-admin')).status, 200);
+  assert.strictEqual((await call('GET', '/conversations', 'chave-leitura')).status, 403);
+  assert.strictEqual((await call('POST', '/send-message', 'chave-leitura', message)).status, 403);
+});
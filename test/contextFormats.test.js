@@ -0,0 +1,85 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseCSV, parseGeoJSON, toCSV, toGeoJSON } = require('../src/utils/contextFormats');
+
+const context = {
+  id: 'paco-do-frevo',
+  name: 'Paço do Frevo',
+  description: 'Centro de referência do frevo, "patrimônio" imaterial',
+  location: { latitude: -8.0614, longitude: -34.8714 },
+  services: ['Exposições', 'Aulas de dança'],
+  triggerRadius: 150,
+  expiresAt: '2030-01-01T00:00:00.000Z'
+};
+
+test('parseCSV lê colunas, aspas, listas de serviços e coordenadas', () => {
+  const csv = 'id,name,latitude,longitude,services,triggerRadius,description\r\n' +
+    'marco-zero,Marco Zero,-8.0631,-34.8711,Passeios; Eventos,200,"Praça, no ""Recife Antigo"""\r\n' +
+    '\n';
+
+  assert.deepStrictEqual(parseCSV(csv), [{
+    row: 2,
+    id: 'marco-zero',
+    contextData: {
+      name: 'Marco Zero',
+      description: 'Praça, no "Recife Antigo"',
+      services: ['Passeios', 'Eventos'],
+      triggerRadius: 200,
+      location: { latitude: -8.0631, longitude: -34.8711 }
+    }
+  }]);
+});
+
+test('parseCSV rejeita CSV vazio', () => {
+  assert.throws(() => parseCSV(''), /vazio/);
+});
+
+test('parseGeoJSON converte features Point na ordem [longitude, latitude]', () => {
+  const [record] = parseGeoJSON({
+    type: 'FeatureCollection',
+    features: [{
+      type: 'Feature',
+      id: 'marco-zero',
+      geometry: { type: 'Point', coordinates: [-34.8711, -8.0631] },
+      properties: { name: 'Marco Zero', services: ['Passeios'] }
+    }]
+  });
+
+  assert.deepStrictEqual(record, {
+    row: 1,
+    id: 'marco-zero',
+    contextData: {
+      name: 'Marco Zero',
+      services: ['Passeios'],
+      location: { latitude: -8.0631, longitude: -34.8711 }
+    }
+  });
+});
+
+test('parseGeoJSON rejeita coleções inválidas e marca geometrias não suportadas', () => {
+  assert.throws(() => parseGeoJSON({ type: 'Feature' }), /FeatureCollection/);
+
+  const [record] = parseGeoJSON({
+    type: 'FeatureCollection',
+    features: [{ type: 'Feature', geometry: { type: 'Polygon', coordinates: [] }, properties: { id: 'area' } }]
+  });
+
+  assert.strictEqual(record.id, 'area');
+  assert.match(record.error, /Point/);
+});
+
+test('toCSV e parseCSV preservam os dados do contexto', () => {
+  const [record] = parseCSV(toCSV([context]));
+  const { id, ...data } = context;
+
+  assert.strictEqual(record.id, id);
+  assert.deepStrictEqual(record.contextData, data);
+});
+
+test('toGeoJSON e parseGeoJSON preservam os dados do contexto', () => {
+  const [record] = parseGeoJSON(toGeoJSON([context]));
+  const { id, ...data } = context;
+
+  assert.strictEqual(record.id, id);
+  assert.deepStrictEqual(record.contextData, data);
+});
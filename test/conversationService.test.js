@@ -0,0 +1,279 @@
+require('./setup');
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const conversationService = require('../src/services/conversationService');
+const outboxService = require('../src/services/outboxService');
+const whatsappService = require('../src/services/whatsappService');
+const { estimateTokens, estimateHistoryTokens } = require('../src/utils/tokenEstimator');
+
+// Envios simulados: registram o que seria enviado ao usuário
+const sent = [];
+
+outboxService.sendText = async (to, text) => {
+  sent.push({ type: 'text', to, text });
+  return { success: true, jobId: `job-${sent.length}` };
+};
+whatsappService.sendImageMessage = async (to, image) => {
+  sent.push({ type: 'image', to, image });
+  return { success: true };
+};
+whatsappService.sendLocationMessage = async (to, location) => {
+  sent.push({ type: 'location', to, location });
+  return { success: true };
+};
+whatsappService.sendInteractiveList = async (to, body, button, sections) => {
+  sent.push({ type: 'list', to, sections });
+  return { success: true };
+};
+
+// Cada mensagem com 36 caracteres custa 9 tokens de conteúdo + 4 de overhead
+const entry = (role, index) => ({ role, content: `${index}`.padEnd(36, '.') });
+
+beforeEach(() => {
+  sent.length = 0;
+});
+
+test('processLocationMessage aplica o contexto mais próximo e descreve o local', async () => {
+  const userId = '5581999991001';
+  const result = await conversationService.processLocationMessage(userId, {
+    latitude: -8.063053,
+    longitude: -34.871099,
+    name: 'Praça Rio Branco',
+    address: null
+  });
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.contextId, 'marco_zero');
+
+  const history = conversationService.getConversationHistory(userId);
+  assert.ok(history.some(message => message.role === 'user' &&
+    message.content === 'Compartilhei minha localização (Praça Rio Branco): -8.063053, -34.871099'));
+  assert.ok(history.some(message => message.role === 'system' && message.content.includes('Marco Zero')));
+
+  assert.strictEqual(sent[0].type, 'text');
+  assert.match(sent[0].text, /Marco Zero/);
+
+  // Os demais locais próximos são oferecidos na lista interativa
+  const list = sent.find(message => message.type === 'list');
+  assert.ok(list.sections[0].rows.length >= 1);
+});
+
+test('processLocationMessage avisa quando não há locais próximos', async () => {
+  const userId = '5581999991002';
+  const result = await conversationService.processLocationMessage(userId, {
+    latitude: -8.1,
+    longitude: -34.95,
+    name: null,
+    address: null
+  });
+
+  assert.strictEqual(result.contextId, null);
+  assert.strictEqual(sent.length, 1);
+  assert.match(sent[0].text, /Não encontrei pontos de interesse/);
+  assert.ok(conversationService.getConversationHistory(userId).every(message => message.role !== 'system'));
+});
+
+test('processLocationMessage rejeita localizações sem coordenadas', async () => {
+  await assert.rejects(
+    conversationService.processLocationMessage('5581999991003', { latitude: NaN, longitude: NaN }),
+    /coordenadas válidas/
+  );
+  assert.strictEqual(sent.length, 0);
+});
+
+test('estimateTokens usa a média de 4 caracteres por token', () => {
+  assert.strictEqual(estimateTokens(''), 0);
+  assert.strictEqual(estimateTokens('abcd'), 1);
+  assert.strictEqual(estimateTokens('abcde'), 2);
+  assert.strictEqual(estimateHistoryTokens([entry('user', 1), entry('assistant', 2)]), 26);
+});
+
+test('trimHistory mantém o histórico dentro do orçamento', (t) => {
+  const budget = conversationService.historyTokenBudget;
+  t.after(() => { conversationService.historyTokenBudget = budget; });
+  conversationService.historyTokenBudget = 100;
+
+  const history = [entry('user', 1), entry('assistant', 2)];
+  const { kept, dropped } = conversationService.trimHistory(history);
+
+  assert.strictEqual(kept, history);
+  assert.deepStrictEqual(dropped, []);
+});
+
+test('trimHistory descarta as mensagens mais antigas até 75% do orçamento, preservando as de sistema', (t) => {
+  const budget = conversationService.historyTokenBudget;
+  t.after(() => { conversationService.historyTokenBudget = budget; });
+  conversationService.historyTokenBudget = 100;
+
+  const history = [
+    entry('system', 0),
+    ...Array.from({ length: 8 }, (_, i) => entry(i % 2 ? 'assistant' : 'user', i + 1))
+  ];
+  const { kept, dropped } = conversationService.trimHistory(history);
+
+  // 9 mensagens de 13 tokens (117) excedem 100; o alvo é 75 tokens, ou seja, 5 mensagens
+  assert.strictEqual(kept.length, 5);
+  assert.strictEqual(kept[0].role, 'system');
+  assert.deepStrictEqual(kept.slice(1), history.slice(5));
+  assert.deepStrictEqual(dropped, history.slice(1, 5));
+  assert.ok(estimateHistoryTokens(kept) <= 75);
+});
+
+test('trimHistory mantém sempre a última mensagem', (t) => {
+  const budget = conversationService.historyTokenBudget;
+  t.after(() => { conversationService.historyTokenBudget = budget; });
+  conversationService.historyTokenBudget = 5;
+
+  const last = entry('user', 2);
+  const { kept } = conversationService.trimHistory([entry('user', 1), last]);
+
+  assert.deepStrictEqual(kept, [last]);
+});
+
+test('o limite de mensagens é aplicado na chegada, mesmo com respostas lentas na fila', async (t) => {
+  const rateLimitService = require('../src/services/rateLimitService');
+  const userId = '5581999991004';
+  const original = {
+    burst: rateLimitService.burst,
+    perMinute: rateLimitService.perMinute,
+    generateReply: conversationService.generateReply,
+    sendFormatted: outboxService.sendFormatted,
+    sendMessageWithFallback: whatsappService.sendMessageWithFallback
+  };
+  t.after(() => {
+    rateLimitService.burst = original.burst;
+    rateLimitService.perMinute = original.perMinute;
+    conversationService.generateReply = original.generateReply;
+    outboxService.sendFormatted = original.sendFormatted;
+    whatsappService.sendMessageWithFallback = original.sendMessageWithFallback;
+  });
+
+  // Rajada de 1 mensagem e 1 token reposto a cada 100 ms: mais rápido que cada resposta da IA
+  rateLimitService.burst = 1;
+  rateLimitService.perMinute = 600;
+
+  let replies = 0;
+  conversationService.generateReply = async () => {
+    replies++;
+    await new Promise(resolve => setTimeout(resolve, 200));
+    return { success: true, message: 'Resposta', aiMessage: { role: 'assistant', content: 'Resposta' } };
+  };
+  outboxService.sendFormatted = async () => ({ success: true });
+  whatsappService.sendMessageWithFallback = async (to, text) => {
+    sent.push({ type: 'text', to, text });
+    return { success: true };
+  };
+
+  // Histórico existente, para que a primeira mensagem não dispare as boas-vindas
+  conversationService.saveConversationHistory(userId, [{ role: 'assistant', content: 'Olá!' }]);
+
+  const results = await Promise.all(Array.from({ length: 10 }, (_, i) =>
+    conversationService.processIncomingMessage({ from: userId, id: `wamid.${i}`, type: 'text', text: `Pergunta ${i}` })
+  ));
+
+  assert.strictEqual(replies, 1);
+  assert.strictEqual(results.filter(result => result.rateLimited).length, 9);
+  assert.strictEqual(sent.filter(message => message.text === conversationService.rateLimitMessage).length, 1);
+});
+
+test('mensagens acima do tamanho máximo da fila são descartadas', async (t) => {
+  const rateLimitService = require('../src/services/rateLimitService');
+  const userId = '5581999991005';
+  const original = {
+    enabled: rateLimitService.enabled,
+    maxQueuedMessages: conversationService.maxQueuedMessages,
+    generateReply: conversationService.generateReply,
+    sendFormatted: outboxService.sendFormatted
+  };
+  t.after(() => {
+    rateLimitService.enabled = original.enabled;
+    conversationService.maxQueuedMessages = original.maxQueuedMessages;
+    conversationService.generateReply = original.generateReply;
+    outboxService.sendFormatted = original.sendFormatted;
+  });
+
+  rateLimitService.enabled = false;
+  conversationService.maxQueuedMessages = 2;
+  conversationService.generateReply = async () => {
+    await new Promise(resolve => setTimeout(resolve, 50));
+    return { success: true, message: 'Resposta', aiMessage: { role: 'assistant', content: 'Resposta' } };
+  };
+  outboxService.sendFormatted = async () => ({ success: true });
+  conversationService.saveConversationHistory(userId, [{ role: 'assistant', content: 'Olá!' }]);
+
+  const results = await Promise.all(Array.from({ length: 4 }, (_, i) =>
+    conversationService.processIncomingMessage({ from: userId, id: `wamid.fila.${i}`, type: 'text', text: `Pergunta ${i}` })
+  ));
+
+  assert.deepStrictEqual(results.map(result => Boolean(result.rateLimited)), [false, false, true, true]);
+  assert.strictEqual(conversationService.queueSizes.has(userId), false);
+});
+
+test('generateReply só associa a resposta a um local consultado ou citado', async (t) => {
+  const groqService = require('../src/services/groqService');
+  const getCompletion = groqService.getCompletion;
+  t.after(() => { groqService.getCompletion = getCompletion; });
+
+  // Respostas simuladas da IA, consumidas em ordem
+  let completions = [];
+  groqService.getCompletion = async () => completions.shift();
+  const reply = text => ({ success: true, message: text, aiMessage: { role: 'assistant', content: text }, toolCalls: [] });
+
+  // Pergunta genérica: contextos são recuperados, mas a resposta não trata de nenhum deles
+  completions = [reply('Vários restaurantes do Recife Antigo abrem aos domingos.')];
+  const generic = await conversationService.generateReply('Quais restaurantes abrem domingo?', []);
+  assert.strictEqual(generic.contextId, null);
+
+  // Resposta que cita um local recuperado
+  completions = [reply('Na Rua do Bom Jesus há restaurantes abertos aos domingos.')];
+  const named = await conversationService.generateReply('Quais restaurantes abrem domingo na Rua do Bom Jesus?', []);
+  assert.strictEqual(named.contextId, 'rua_bom_jesus');
+
+  // Local consultado pela IA com get_context_details
+  completions = [
+    {
+      success: true,
+      message: '',
+      aiMessage: { role: 'assistant', content: '' },
+      toolCalls: [{ id: 'call_1', type: 'function', function: { name: 'get_context_details', arguments: '{"id":"paco_do_frevo"}' } }]
+    },
+    reply('O museu abre de terça a domingo.')
+  ];
+  const consulted = await conversationService.generateReply('Que horas abre o museu do frevo?', []);
+  assert.strictEqual(consulted.contextId, 'paco_do_frevo');
+});
+
+test('mensagem recebida em atendimento humano é respondida pela IA se a conversa for devolvida durante o download', async (t) => {
+  const mediaService = require('../src/services/mediaService');
+  const storeMedia = mediaService.storeMedia;
+  t.after(() => { mediaService.storeMedia = storeMedia; });
+
+  const userId = '5581999991006';
+  conversationService.saveConversationHistory(userId, [{ role: 'assistant', content: 'Olá!' }]);
+  await conversationService.startHandoff(userId, { requestedBy: 'user', reason: 'Teste' });
+
+  // O atendente devolve a conversa enquanto a mídia é baixada
+  let downloads = 0;
+  mediaService.storeMedia = async (id, type, media) => {
+    downloads++;
+    await conversationService.releaseConversation(userId, { notify: false });
+
+    const record = { id: media.id, userId: id, type, mimeType: 'image/jpeg', size: 2048 };
+    mediaService.mediaIndex.set(media.id, record);
+    return { success: true, record };
+  };
+
+  const result = await conversationService.processIncomingMessage({
+    from: userId,
+    id: 'wamid.handoff',
+    type: 'image',
+    media: { id: 'media-handoff', mimeType: 'image/jpeg' }
+  });
+
+  assert.strictEqual(result.success, true);
+  assert.notStrictEqual(result.mode, 'human');
+  assert.strictEqual(downloads, 1);
+  assert.strictEqual(conversationService.getConversationMode(userId), 'bot');
+  assert.strictEqual(sent.filter(message => message.type === 'text').length, 1);
+});
@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { pointInPolygon, extractPolygons } = require('../src/utils/geo');
+
+// Quadrado de 0 a 10 com um buraco de 4 a 6 (coordenadas [longitude, latitude])
+const square = [[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]];
+const hole = [[4, 4], [6, 4], [6, 6], [4, 6], [4, 4]];
+
+test('pointInPolygon identifica pontos dentro e fora do anel externo', () => {
+  assert.strictEqual(pointInPolygon(2, 3, [square]), true);
+  assert.strictEqual(pointInPolygon(12, 3, [square]), false);
+  assert.strictEqual(pointInPolygon(2, -1, [square]), false);
+});
+
+test('pointInPolygon exclui pontos dentro dos buracos', () => {
+  assert.strictEqual(pointInPolygon(5, 5, [square, hole]), false);
+  assert.strictEqual(pointInPolygon(2, 5, [square, hole]), true);
+});
+
+test('pointInPolygon trata polígonos côncavos', () => {
+  // Formato de "U": o vão entre as hastes fica fora do polígono
+  const shape = [[0, 0], [6, 0], [6, 6], [4, 6], [4, 2], [2, 2], [2, 6], [0, 6], [0, 0]];
+
+  assert.strictEqual(pointInPolygon(3, 4, [shape]), false);
+  assert.strictEqual(pointInPolygon(1, 4, [shape]), true);
+  assert.strictEqual(pointInPolygon(3, 1, [shape]), true);
+});
+
+test('extractPolygons aceita FeatureCollection, Feature, Polygon e MultiPolygon', () => {
+  const multi = { type: 'MultiPolygon', coordinates: [[square], [hole]] };
+  const collection = {
+    type: 'FeatureCollection',
+    features: [
+      { type: 'Feature', geometry: { type: 'Polygon', coordinates: [square] } },
+      { type: 'Feature', geometry: multi }
+    ]
+  };
+
+  assert.deepStrictEqual(extractPolygons(collection), [[square], [square], [hole]]);
+  assert.throws(() => extractPolygons({ type: 'Point', coordinates: [0, 0] }), /não suportado/);
+});
@@ -0,0 +1,135 @@
+require('./setup');
+process.env.OUTBOX_RETRY_DELAYS = '0';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const whatsappService = require('../src/services/whatsappService');
+const outboxService = require('../src/services/outboxService');
+
+// Respostas do WhatsAppService simulado, consumidas em ordem a cada tentativa
+let responses = [];
+const calls = [];
+
+whatsappService.sendMessageWithFallback = async (to, text, fallbackTemplate, requestOptions) => {
+  calls.push({ to, text, requestOptions });
+  return responses.shift();
+};
+
+// Conexão recusada: a mensagem certamente não chegou à Graph API
+const unsentError = { success: false, error: 'connect ECONNREFUSED', unsent: true };
+// Timeout: a Graph API pode ter aceitado a mensagem
+const ambiguousError = { success: false, error: 'timeout of 10000ms exceeded', unsent: false };
+const throttledError = { success: false, error: { error: { code: 130429, message: 'Rate limit hit' } }, unsent: false };
+const permanentError = { success: false, error: { error: { code: 131026, message: 'Message undeliverable' } }, unsent: false };
+
+beforeEach(() => {
+  responses = [];
+  calls.length = 0;
+
+  for (const jobId of outboxService.jobStore.keys()) {
+    outboxService.jobStore.delete(jobId);
+  }
+  outboxService.index.clear();
+});
+
+test('envio bem-sucedido fica como sent, sem novas tentativas do cliente HTTP', async () => {
+  responses = [{ success: true, messageId: 'wamid.1' }];
+
+  const result = await outboxService.sendText('5581999990001', 'Olá', 'hello_world');
+  const job = outboxService.getJob(result.jobId);
+
+  assert.strictEqual(result.status, 'sent');
+  assert.strictEqual(result.queued, false);
+  assert.strictEqual(job.attempts, 1);
+  assert.deepStrictEqual(job.messageIds, ['wamid.1']);
+  assert.deepStrictEqual(calls[0].requestOptions, { retry: false });
+});
+
+test('falha sem processamento fica pendente e é repetida pela verificação periódica', async () => {
+  responses = [unsentError, { success: true, messageId: 'wamid.2' }];
+
+  const result = await outboxService.sendText('5581999990002', 'Olá', 'hello_world');
+  assert.strictEqual(result.status, 'pending');
+  assert.strictEqual(result.queued, true);
+
+  await outboxService.processDueJobs();
+
+  const job = outboxService.getJob(result.jobId);
+  assert.strictEqual(job.status, 'sent');
+  assert.strictEqual(job.attempts, 2);
+  assert.strictEqual(job.lastError, null);
+});
+
+test('limite de envios da Graph API também é repetido', async () => {
+  responses = [throttledError];
+
+  const result = await outboxService.sendText('5581999990003', 'Olá', 'hello_world');
+
+  assert.strictEqual(result.status, 'pending');
+});
+
+test('falha de resultado incerto vai para a fila de falhas sem nova tentativa', async () => {
+  responses = [ambiguousError];
+
+  const result = await outboxService.sendText('5581999990004', 'Olá', 'hello_world');
+  await outboxService.processDueJobs();
+
+  const job = outboxService.getJob(result.jobId);
+  assert.strictEqual(result.status, 'dead');
+  assert.strictEqual(job.attempts, 1);
+  assert.strictEqual(job.lastError, ambiguousError.error);
+  assert.strictEqual(calls.length, 1);
+});
+
+test('erro não recuperável vai direto para a fila de falhas', async () => {
+  responses = [permanentError];
+
+  const result = await outboxService.sendText('5581999990005', 'Olá', 'hello_world');
+
+  assert.strictEqual(result.status, 'dead');
+  assert.strictEqual(outboxService.getJob(result.jobId).attempts, 1);
+});
+
+test('esgotadas as tentativas, o envio vai para a fila de falhas e pode ser reenviado', async () => {
+  responses = [unsentError, unsentError];
+
+  const { jobId } = await outboxService.sendText('5581999990006', 'Olá', 'hello_world');
+  await outboxService.processDueJobs();
+  assert.strictEqual(outboxService.getJob(jobId).status, 'dead');
+
+  responses = [{ success: true, messageId: 'wamid.6' }];
+  const result = await outboxService.retry(jobId);
+
+  assert.strictEqual(result.status, 'sent');
+  assert.strictEqual(outboxService.getJob(jobId).attempts, 1);
+});
+
+test('retry recusa envios concluídos, em andamento ou inexistentes', async () => {
+  responses = [{ success: true }];
+  const sent = await outboxService.sendText('5581999990007', 'Olá', 'hello_world');
+
+  assert.match((await outboxService.retry(sent.jobId)).error, /concluído/);
+  assert.strictEqual(await outboxService.retry('inexistente'), null);
+
+  let release;
+  responses = [unsentError, new Promise(resolve => { release = resolve; })];
+  const pending = await outboxService.sendText('5581999990008', 'Olá', 'hello_world');
+  const running = outboxService.retry(pending.jobId);
+
+  const concurrent = await outboxService.retry(pending.jobId);
+  assert.strictEqual(concurrent.inFlight, true);
+
+  release({ success: true });
+  assert.strictEqual((await running).status, 'sent');
+  assert.strictEqual(calls.length, 3);
+});
+
+test('getStats conta os envios por status', async () => {
+  responses = [{ success: true }, unsentError, permanentError];
+
+  await outboxService.sendText('5581999990009', 'Olá', 'hello_world');
+  await outboxService.sendText('5581999990010', 'Olá', 'hello_world');
+  await outboxService.sendText('5581999990011', 'Olá', 'hello_world');
+
+  assert.deepStrictEqual(outboxService.getStats(), { pending: 1, sent: 1, dead: 1 });
+});
@@ -0,0 +1,33 @@
+/**
+ * Ambiente dos testes: deve ser carregado antes de qualquer módulo de src/
+ * Os dados são gravados em um diretório temporário, removido ao final, e os
+ * armazenamentos usam o driver em memória para que os testes não deixem arquivos
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chatbot-test-'));
+
+Object.assign(process.env, {
+  DATA_DIR: dataDir,
+  CONTEXT_STORE: 'memory',
+  CONVERSATION_STORE: 'memory',
+  MEDIA_STORE: 'memory',
+  OUTBOX_STORE: 'memory',
+  HANDOFF_STORE: 'memory',
+  WHATSAPP_APP_SECRET: 'segredo-de-teste',
+  API_AUTH_DISABLED: 'true'
+});
+
+// Os logs informativos dos serviços são omitidos: a saída padrão de cada arquivo de teste é lida pelo
+// executor e, no Node 20, textos intercalados com os resultados podem corromper a leitura.
+// Avisos e erros continuam visíveis (saída de erro)
+console.log = () => {};
+console.info = () => {};
+
+process.on('exit', () => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+module.exports = { dataDir };
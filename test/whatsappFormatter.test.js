@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { formatForWhatsApp, splitMessage } = require('../src/utils/whatsappFormatter');
+
+test('formatForWhatsApp converte títulos, negrito, itálico, links e listas', () => {
+  const markdown = '# Título\n\nTexto **forte** e *leve* com [site](https://recife.pe.gov.br).\n\n- um\n- dois';
+
+  assert.strictEqual(
+    formatForWhatsApp(markdown),
+    '*Título*\n\nTexto *forte* e _leve_ com site (https://recife.pe.gov.br).\n\n• um\n• dois'
+  );
+});
+
+test('formatForWhatsApp converte tabelas em listas rotuladas pelo cabeçalho', () => {
+  const markdown = '| Local | Entrada | Horário |\n|---|---|---|\n| Marco Zero | Gratuita | 24h |';
+
+  assert.strictEqual(formatForWhatsApp(markdown), '• *Marco Zero* — Entrada: Gratuita, Horário: 24h');
+});
+
+test('formatForWhatsApp mantém blocos de código sem alterações', () => {
+  assert.strictEqual(formatForWhatsApp('```\n**x**\n```'), '```\n**x**\n```');
+});
+
+test('splitMessage não divide textos dentro do limite', () => {
+  assert.deepStrictEqual(splitMessage('  curto  ', 100), ['curto']);
+  assert.deepStrictEqual(splitMessage('', 100), []);
+});
+
+test('splitMessage prefere quebrar entre parágrafos, mantendo a ordem', () => {
+  const paragraphs = ['a'.repeat(40), 'b'.repeat(40), 'c'.repeat(40)];
+  const parts = splitMessage(paragraphs.join('\n\n'), 90);
+
+  assert.deepStrictEqual(parts, [`${paragraphs[0]}\n\n${paragraphs[1]}`, paragraphs[2]]);
+});
+
+test('splitMessage divide parágrafos grandes por frases e palavras sem exceder o limite', () => {
+  const text = 'Primeira frase longa. Segunda frase longa! Terceira frase longa? ' + 'palavra '.repeat(20);
+  const parts = splitMessage(text, 30);
+
+  assert.ok(parts.length > 1);
+  assert.ok(parts.every(part => part.length <= 30));
+  assert.strictEqual(parts.join(' ').replace(/\s+/g, ' '), text.trim().replace(/\s+/g, ' '));
+});
+
+test('splitMessage corta por caracteres quando não há separadores', () => {
+  assert.deepStrictEqual(splitMessage('x'.repeat(25), 10), ['x'.repeat(10), 'x'.repeat(10), 'x'.repeat(5)]);
+});
@@ -0,0 +1,67 @@
+require('./setup');
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const whatsappService = require('../src/services/whatsappService');
+
+const sign = (body, secret = 'segredo-de-teste') =>
+  `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+test('parseLocation extrai coordenadas, nome e endereço', () => {
+  assert.deepStrictEqual(
+    whatsappService.parseLocation({ latitude: '-8.063053', longitude: -34.871099, name: 'Marco Zero', address: 'Recife Antigo' }),
+    { latitude: -8.063053, longitude: -34.871099, name: 'Marco Zero', address: 'Recife Antigo' }
+  );
+
+  const empty = whatsappService.parseLocation();
+  assert.ok(Number.isNaN(empty.latitude));
+  assert.strictEqual(empty.name, null);
+  assert.strictEqual(empty.address, null);
+});
+
+test('processWebhook encaminha mensagens de localização', () => {
+  const result = whatsappService.processWebhook({
+    object: 'whatsapp_business_account',
+    entry: [{
+      changes: [{
+        field: 'messages',
+        value: {
+          messages: [{
+            from: '5581999990001',
+            id: 'wamid.localizacao',
+            timestamp: '1700000000',
+            type: 'location',
+            location: { latitude: -8.062151, longitude: -34.872022 }
+          }]
+        }
+      }]
+    }]
+  });
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.messages.length, 1);
+  assert.strictEqual(result.messages[0].type, 'location');
+  assert.deepStrictEqual(result.messages[0].location, { latitude: -8.062151, longitude: -34.872022, name: null, address: null });
+});
+
+test('verifySignature aceita a assinatura calculada com o app secret', () => {
+  const body = Buffer.from('{"object":"whatsapp_business_account"}');
+  assert.strictEqual(whatsappService.verifySignature(body, sign(body)), true);
+});
+
+test('verifySignature rejeita corpo alterado ou segredo diferente', () => {
+  const body = Buffer.from('{"object":"whatsapp_business_account"}');
+
+  assert.strictEqual(whatsappService.verifySignature(Buffer.from('{"object":"outro"}'), sign(body)), false);
+  assert.strictEqual(whatsappService.verifySignature(body, sign(body, 'outro-segredo')), false);
+});
+
+test('verifySignature rejeita cabeçalho ausente, sem prefixo ou com tamanho inválido', () => {
+  const body = Buffer.from('{}');
+
+  assert.strictEqual(whatsappService.verifySignature(body, undefined), false);
+  assert.strictEqual(whatsappService.verifySignature(body, sign(body).slice('sha256='.length)), false);
+  assert.strictEqual(whatsappService.verifySignature(body, 'sha256=abc'), false);
+  assert.strictEqual(whatsappService.verifySignature(null, sign(body)), false);
+});